@@ -65,6 +65,72 @@ class CuratorRepository {
     }
   }
 
+  /**
+   * Find a curator by name (case-insensitive)
+   * @param {string} name - Curator name
+   * @returns {Promise<Object|null>} Curator object or null if not found
+   */
+  async findCuratorByName(name) {
+    try {
+      if (!name) return null;
+      
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const matches = await this.db.curators
+        .where('name')
+        .equalsIgnoreCase(name.trim())
+        .toArray();
+        
+      return matches.length > 0 ? matches[0] : null;
+    } catch (error) {
+      console.error(`CuratorRepository: Error finding curator by name ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a curator by its server ID
+   * @param {string|number} serverId - Server curator ID
+   * @returns {Promise<Object|null>} Curator object or null if not found
+   */
+  async findCuratorByServerId(serverId) {
+    try {
+      if (serverId === null || serverId === undefined || serverId === '') return null;
+      
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      // Server IDs may have been stored as numbers or strings
+      const candidates = [serverId, String(serverId)];
+      if (!isNaN(Number(serverId))) candidates.push(Number(serverId));
+      
+      const curator = await this.db.curators.where('serverId').anyOf(candidates).first();
+      return curator || null;
+    } catch (error) {
+      console.error(`CuratorRepository: Error finding curator by server ID ${serverId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link an existing curator to its server record
+   * @param {number} curatorId - Local curator ID
+   * @param {string|number} serverId - Server curator ID
+   * @returns {Promise<void>}
+   */
+  async linkCuratorToServer(curatorId, serverId) {
+    try {
+      await this.db.curators.update(curatorId, { serverId });
+      console.log(`CuratorRepository: Curator ${curatorId} linked to server ID ${serverId}`);
+    } catch (error) {
+      console.error(`CuratorRepository: Error linking curator ${curatorId} to server:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get the current active curator
    * @returns {Promise<Object|null>} Curator object or null
@@ -1,17 +1,22 @@
 /**
  * Repository for restaurant-related operations
  * Provides methods to create, retrieve, update, and delete restaurants
+ * Deleted restaurants stay in the trash, hidden from queries, until they are restored,
+ * deleted permanently or purged after the retention period set in SettingsService.
  * 
  * @module RestaurantRepository
- * @depends DatabaseService
+ * @depends DatabaseService, SettingsService, SyncOutboxRepository, TombstoneRepository, RevisionRepository
  */
 
 import databaseService from '../services/db/DatabaseService.js';
+import settingsService from '../services/SettingsService.js';
+import syncOutboxRepository from './SyncOutboxRepository.js';
+import tombstoneRepository from './TombstoneRepository.js';
+import revisionRepository from './RevisionRepository.js';
 
 class RestaurantRepository {
   constructor() {
     this.db = null;
-    this.isResetting = false;
     this._initializeDb();
   }
   
@@ -35,6 +40,8 @@ class RestaurantRepository {
    * @param {boolean} options.includeRemote - Include remote restaurants
    * @param {boolean} options.includeLocal - Include local restaurants
    * @param {boolean} options.deduplicate - Deduplicate by name
+   * @param {string|null} options.syncState - Only restaurants in this sync state (see getSyncState)
+   * @param {boolean} options.includeDeleted - Include restaurants in the trash
    * @returns {Promise<Array>} Array of restaurant objects
    */
   async getRestaurants(options = {}) {
@@ -49,8 +56,12 @@ class RestaurantRepository {
         onlyCuratorRestaurants = true,
         includeRemote = true, 
         includeLocal = true,
-        deduplicate = true
+        deduplicate = true,
+        syncState = null,
+        includeDeleted = false
       } = options;
+      const matchesState = restaurant => (includeDeleted || !restaurant.deletedAt) &&
+        (!syncState || this.getSyncState(restaurant) === syncState);
       
       console.log(`RestaurantRepository: Getting restaurants with options:`, {
         curatorId,
@@ -72,6 +83,9 @@ class RestaurantRepository {
         
         // Apply filtering
         const filteredRestaurants = allRestaurants.filter(restaurant => {
+          // Leave out restaurants in the trash or in another sync state
+          if (!matchesState(restaurant)) return false;
+          
           // Handle source filtering
           if (restaurant.source === 'remote' && !includeRemote) return false;
           if (restaurant.source === 'local' && !includeLocal) return false;
@@ -92,14 +106,14 @@ class RestaurantRepository {
         // Process filtered restaurants
         const restaurantIds = filteredRestaurants.map(r => r.id);
         return await this._processRestaurants(
-          await this.db.restaurants.where('id').anyOf(restaurantIds).toArray(),
+          (await this.db.restaurants.where('id').anyOf(restaurantIds).toArray()).filter(matchesState),
           deduplicate
         );
       } else {
         // No curator filtering
         console.log(`RestaurantRepository: Getting all restaurants (no curator filter)`);
         return await this._processRestaurants(
-          await this.db.restaurants.toArray(), 
+          (await this.db.restaurants.toArray()).filter(matchesState), 
           deduplicate
         );
       }
@@ -170,6 +184,7 @@ class RestaurantRepository {
       // Add to result
       result.push({
         ...restaurant,
+        syncState: this.getSyncState(restaurant),
         curatorName,
         concepts,
         location,
@@ -260,6 +275,11 @@ class RestaurantRepository {
     console.log(`RestaurantRepository: Saving restaurant: ${name} with curator ID: ${curatorId}, source: ${source}`);
     
     try {
+      // Sync imports check the storage once for the whole import
+      if (source !== 'remote') {
+        await databaseService.ensureStorageAvailable(this._estimateNewPhotoBytes(photos));
+      }
+      
       // Pre-save concepts to avoid transaction issues
       const conceptIds = [];
       for (const concept of concepts) {
@@ -284,16 +304,6 @@ class RestaurantRepository {
       );
     } catch (error) {
       console.error('RestaurantRepository: Error in pre-save phase:', error);
-      
-      if (error.name === 'NotFoundError' || 
-          error.message.includes('object store was not found') ||
-          error.name === 'PrematureCommitError') {
-        console.warn('RestaurantRepository: Database error, attempting reset...');
-        await databaseService.resetDatabase();
-        // Try one more time after reset
-        return this.saveRestaurant(name, curatorId, concepts, location, photos, transcription, description, source, serverId);
-      }
-      
       throw error;
     }
   }
@@ -319,10 +329,14 @@ class RestaurantRepository {
     // Determine if we're working with pre-saved concept IDs or raw concepts
     const areConceptIds = conceptsOrIds.length > 0 && conceptsOrIds[0].conceptId !== undefined;
     
+    // Resolve the server profile and author outside the transaction (settings is not part of its scope)
+    const serverIds = serverId ? { [await this._getActiveProfileId()]: serverId } : {};
+    const author = source === 'local' ? await revisionRepository.getAuthor() : null;
+    
     try {
       return await this.db.transaction('rw', 
-        [this.db.restaurants, this.db.restaurantConcepts, 
-        this.db.restaurantLocations, this.db.restaurantPhotos], 
+        [this.db.restaurants, this.db.restaurantConcepts, this.db.concepts, this.db.curators,
+        this.db.restaurantLocations, this.db.restaurantPhotos, this.db.syncOutbox, this.db.restaurantRevisions], 
       async () => {
         // Save restaurant with source tracking
         const restaurantId = await this.db.restaurants.add({
@@ -332,7 +346,9 @@ class RestaurantRepository {
           transcription,
           description,
           source: source,
-          serverId: serverId
+          serverId: serverId,
+          serverIds,
+          syncState: source === 'local' ? 'pending' : 'synced'
         });
         
         console.log(`RestaurantRepository: Restaurant saved with ID: ${restaurantId}, source: ${source}`);
@@ -368,29 +384,24 @@ class RestaurantRepository {
         }
         
         // Save photos if provided
-        if (photos && photos.length > 0) {
-          for (const photoData of photos) {
-            await this.db.restaurantPhotos.add({
-              restaurantId,
-              photoData
-            });
-          }
+        for (const photo of this._buildPhotoRecords(restaurantId, photos).records) {
+          await this.db.restaurantPhotos.add(photo);
+        }
+        
+        await revisionRepository.recordRevision(restaurantId, null, {
+          author,
+          origin: source === 'local' ? 'create' : 'sync'
+        });
+        
+        // Queue local restaurants for upload in the same transaction so the change can't be lost
+        if (source === 'local') {
+          await syncOutboxRepository.enqueue('create', restaurantId);
         }
         
         return restaurantId;
       });
     } catch (error) {
       console.error('RestaurantRepository: Error in saveRestaurant transaction:', error);
-      
-      // Handle transaction failures
-      if (!this.isResetting && (
-        error.name === 'NotFoundError' || 
-        error.message.includes('object store was not found') ||
-        error.name === 'PrematureCommitError')) {
-        await databaseService.resetDatabase();
-        throw new Error('Database reset, please retry your operation');
-      }
-      
       throw error;
     }
   }
@@ -405,9 +416,13 @@ class RestaurantRepository {
    * @param {Array} photos - Array of photo data
    * @param {string} transcription - Transcription text
    * @param {string} description - Restaurant description
+   * @param {Object} options - Update options
+   * @param {boolean} options.fromSync - Change comes from the server: keep the source and don't queue it for upload
+   * @param {number|null} options.revertedFrom - Revision whose state is being restored, for the revision history
    * @returns {Promise<number>} Restaurant ID
    */
-  async updateRestaurant(restaurantId, name, curatorId, concepts, location, photos, transcription, description) {
+  async updateRestaurant(restaurantId, name, curatorId, concepts, location, photos, transcription, description, options = {}) {
+    const { fromSync = false, revertedFrom = null } = options;
     console.log(`RestaurantRepository: Updating restaurant: ${name} with ID: ${restaurantId}`);
     
     try {
@@ -417,8 +432,13 @@ class RestaurantRepository {
         throw new Error(`Restaurant with ID ${restaurantId} not found`);
       }
       
-      // Always mark as 'local' when updating, even if it was originally remote
-      const source = 'local';
+      // Sync imports check the storage once for the whole import
+      if (!fromSync) {
+        await databaseService.ensureStorageAvailable(this._estimateNewPhotoBytes(photos));
+      }
+      
+      // Mark as 'local' when edited, even if it was originally remote
+      const source = fromSync ? existingRestaurant.source : 'local';
       
       // Preserve server ID if it exists
       const serverId = existingRestaurant.serverId || null;
@@ -440,11 +460,27 @@ class RestaurantRepository {
         }
       }
       
+      const author = fromSync ? null : await revisionRepository.getAuthor();
+      
       // Transaction for update
       return await this.db.transaction('rw', 
-        [this.db.restaurants, this.db.restaurantConcepts, 
-         this.db.restaurantLocations, this.db.restaurantPhotos], 
+        [this.db.restaurants, this.db.restaurantConcepts, this.db.concepts, this.db.curators,
+         this.db.restaurantLocations, this.db.restaurantPhotos, this.db.syncOutbox, this.db.restaurantRevisions], 
       async () => {
+        const before = await revisionRepository.captureState(restaurantId);
+        const previousPhotos = await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).toArray();
+        const photoChanges = this._buildPhotoRecords(restaurantId, photos, previousPhotos);
+        
+        // Photos removed locally must also be removed from the servers that have them
+        const photoDeletes = [...(existingRestaurant.photoDeletes || [])];
+        if (!fromSync) {
+          for (const photo of photoChanges.removed) {
+            for (const [serverProfileId, serverPhotoId] of Object.entries(photo.serverPhotoIds || {})) {
+              photoDeletes.push({ serverProfileId, serverPhotoId });
+            }
+          }
+        }
+        
         // Update restaurant with source tracking
         await this.db.restaurants.update(restaurantId, {
           name,
@@ -452,8 +488,10 @@ class RestaurantRepository {
           timestamp: new Date(),
           transcription,
           description,
-          source,      // Always mark as 'local' when updated
-          serverId     // Preserve server ID if it exists
+          source,      // 'local' unless the update comes from the server
+          serverId,    // Preserve server ID if it exists
+          photoDeletes,
+          ...(fromSync ? {} : { syncState: serverId ? 'modified' : 'pending', syncError: null })
         });
         
         // Remove existing concept relationships
@@ -480,13 +518,18 @@ class RestaurantRepository {
         
         // Update photos
         await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).delete();
-        if (photos && photos.length > 0) {
-          for (const photoData of photos) {
-            await this.db.restaurantPhotos.add({
-              restaurantId,
-              photoData
-            });
-          }
+        for (const photo of photoChanges.records) {
+          await this.db.restaurantPhotos.add(photo);
+        }
+        
+        await revisionRepository.recordRevision(restaurantId, before, {
+          author,
+          origin: fromSync ? 'sync' : (revertedFrom ? 'revert' : 'edit'),
+          revertedFrom
+        });
+        
+        if (!fromSync) {
+          await syncOutboxRepository.enqueue(existingRestaurant.serverId ? 'update' : 'create', restaurantId);
         }
         
         console.log(`RestaurantRepository: Restaurant updated successfully. ID: ${restaurantId}`);
@@ -494,35 +537,217 @@ class RestaurantRepository {
       });
     } catch (error) {
       console.error('RestaurantRepository: Error updating restaurant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the state a restaurant had at an earlier revision
+   * The revert is saved as a new edit, with its own revision. Photos removed on the
+   * server since are not kept locally and can't be brought back.
+   * @param {number} revisionId - Revision to restore
+   * @returns {Promise<Object>} { restaurantId, missingPhotos } with the number of photos that could not be restored
+   */
+  async revertToRevision(revisionId) {
+    try {
+      const revision = await revisionRepository.getRevision(revisionId);
+      if (!revision) {
+        throw new Error(`Revision ${revisionId} not found`);
+      }
+      
+      const { restaurantId, state } = revision;
+      const currentPhotos = await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).toArray();
+      const currentByKey = new Map(currentPhotos.map(photo => [photo.photoKey, photo]));
+      const removedPhotos = await revisionRepository.findRemovedPhotos(
+        restaurantId, 
+        state.photoKeys.filter(key => !currentByKey.has(key))
+      );
+      const photos = state.photoKeys
+        .map(key => currentByKey.get(key) || removedPhotos.get(key))
+        .filter(Boolean);
+      
+      await this.updateRestaurant(
+        restaurantId,
+        state.name,
+        state.curatorId,
+        state.concepts,
+        state.location,
+        photos,
+        state.transcription,
+        state.description,
+        { revertedFrom: revisionId }
+      );
+      
+      console.log(`RestaurantRepository: Restaurant ${restaurantId} reverted to revision ${revisionId}`);
+      return { restaurantId, missingPhotos: state.photoKeys.length - photos.length };
+    } catch (error) {
+      console.error(`RestaurantRepository: Error reverting to revision ${revisionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a restaurant to the trash
+   * Restaurants known to a server leave a tombstone per server profile, the server-side
+   * delete is queued in the outbox, and the trashed restaurant becomes local-only, so
+   * restoring it uploads it again.
+   * Restaurants the server removed are deleted permanently instead.
+   * @param {number} restaurantId - Restaurant ID
+   * @param {Object} options - Delete options
+   * @param {boolean} options.fromSync - The server already removed it: no trash, tombstone or queued delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRestaurant(restaurantId, options = {}) {
+    const { fromSync = false } = options;
+    
+    if (fromSync) {
+      return this._removeRestaurant(restaurantId, { keepServerDeletes: false });
+    }
+    
+    try {
+      const activeProfileId = await this._getActiveProfileId();
+      
+      await this.db.transaction('rw', 
+        [this.db.restaurants, this.db.restaurantPhotos, this.db.syncOutbox, this.db.restaurantTombstones], 
+      async () => {
+        const restaurant = await this.db.restaurants.get(restaurantId);
+        if (!restaurant || restaurant.deletedAt) return;
+        
+        await this._recordDeletion(restaurant, activeProfileId);
+        
+        await this.db.restaurants.update(restaurantId, {
+          deletedAt: new Date(),
+          source: 'local',
+          serverId: null,
+          serverIds: {},
+          photoDeletes: [],
+          syncBase: null,
+          syncBaseVersion: null,
+          syncRevision: null,
+          syncState: 'pending',
+          syncError: null
+        });
+        await this._forgetRestaurantPhotoServerIds(restaurantId);
+      });
+      
+      console.log(`RestaurantRepository: Restaurant ${restaurantId} moved to the trash`);
+      return true;
+    } catch (error) {
+      console.error(`RestaurantRepository: Error deleting restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the restaurants in the trash, most recently deleted first
+   * @returns {Promise<Array>} Restaurant objects with their `deletedAt` date
+   */
+  async getTrashedRestaurants() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
       
-      if (!this.isResetting && (
-        error.name === 'NotFoundError' || 
-        error.message.includes('object store was not found') ||
-        error.name === 'PrematureCommitError')) {
-        await databaseService.resetDatabase();
-        return this.updateRestaurant(restaurantId, name, curatorId, concepts, location, photos, transcription, description);
+      const restaurants = await this.db.restaurants.orderBy('deletedAt').reverse().toArray();
+      return await this._processRestaurants(restaurants, false);
+    } catch (error) {
+      console.error('RestaurantRepository: Error getting trashed restaurants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a restaurant out of the trash
+   * Its server copies were deleted with it, so it is queued for upload as a new restaurant.
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<void>}
+   */
+  async restoreRestaurant(restaurantId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
       }
       
+      await this.db.transaction('rw', this.db.restaurants, this.db.restaurantPhotos, this.db.syncOutbox, async () => {
+        await this.db.restaurants.where('id').equals(restaurantId).modify(restaurant => {
+          delete restaurant.deletedAt;
+        });
+        // Restaurants trashed before photo IDs were cleared with them
+        await this._forgetRestaurantPhotoServerIds(restaurantId);
+        await syncOutboxRepository.enqueue('create', restaurantId);
+      });
+      
+      console.log(`RestaurantRepository: Restaurant ${restaurantId} restored from the trash`);
+    } catch (error) {
+      console.error(`RestaurantRepository: Error restoring restaurant ${restaurantId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Delete a restaurant in the trash and all related data
+   * Queued server deletes are kept, so the server copies are still removed.
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRestaurantPermanently(restaurantId) {
+    return this._removeRestaurant(restaurantId, { keepServerDeletes: true });
+  }
+
+  /**
+   * Permanently delete the restaurants that stayed in the trash past the retention period
+   * @returns {Promise<number>} Number of restaurants purged
+   */
+  async purgeExpiredTrash() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const retentionDays = await settingsService.getTrashRetentionDays();
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+      const expiredIds = await this.db.restaurants.where('deletedAt').below(cutoff).primaryKeys();
+      
+      for (const restaurantId of expiredIds) {
+        await this.deleteRestaurantPermanently(restaurantId);
+      }
+      
+      if (expiredIds.length > 0) {
+        console.log(`RestaurantRepository: Purged ${expiredIds.length} restaurants deleted more than ${retentionDays} days ago`);
+      }
+      return expiredIds.length;
+    } catch (error) {
+      console.error('RestaurantRepository: Error purging the trash:', error);
+      return 0;
+    }
+  }
+
   /**
    * Delete a restaurant and all related data
    * @param {number} restaurantId - Restaurant ID
+   * @param {Object} options - Delete options
+   * @param {boolean} options.keepServerDeletes - Keep queued server deletes in the outbox
    * @returns {Promise<boolean>} Success status
+   * @private
    */
-  async deleteRestaurant(restaurantId) {
+  async _removeRestaurant(restaurantId, { keepServerDeletes }) {
     try {
       // Transaction to ensure all related data is deleted
       await this.db.transaction('rw', 
-        [this.db.restaurants, this.db.restaurantConcepts, 
-         this.db.restaurantLocations, this.db.restaurantPhotos], 
+        [this.db.restaurants, this.db.restaurantConcepts, this.db.restaurantLocations, 
+         this.db.restaurantPhotos, this.db.syncOutbox, this.db.restaurantRevisions], 
       async () => {
+        await this.db.syncOutbox
+          .where('restaurantId')
+          .equals(restaurantId)
+          .filter(entry => !keepServerDeletes || entry.operation !== 'delete')
+          .delete();
+        
         // Delete all related data
         await this.db.restaurantConcepts.where('restaurantId').equals(restaurantId).delete();
         await this.db.restaurantLocations.where('restaurantId').equals(restaurantId).delete();
         await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).delete();
+        await this.db.restaurantRevisions.where('restaurantId').equals(restaurantId).delete();
         
         // Delete the restaurant itself
         await this.db.restaurants.delete(restaurantId);
@@ -536,6 +761,311 @@ class RestaurantRepository {
     }
   }
 
+  /**
+   * Leave tombstones and queue server deletes for every server that knows a restaurant
+   * Must run inside a transaction that includes syncOutbox and restaurantTombstones.
+   * @param {Object} restaurant - Restaurant record being deleted
+   * @param {string} activeProfileId - Profile whose ID is in `serverId`
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordDeletion(restaurant, activeProfileId) {
+    const serverIds = { ...(restaurant.serverIds || {}) };
+    if (restaurant.serverId) {
+      serverIds[activeProfileId] = restaurant.serverId;
+    }
+    
+    // Drops unsent changes; a restaurant no server has seen needs nothing else
+    await syncOutboxRepository.enqueue('delete', restaurant.id, { serverId: null });
+    
+    for (const [serverProfileId, serverId] of Object.entries(serverIds)) {
+      if (!serverId) continue;
+      
+      await tombstoneRepository.recordTombstone({
+        restaurantId: restaurant.id,
+        name: restaurant.name,
+        serverId,
+        serverProfileId
+      });
+      await syncOutboxRepository.enqueue('delete', restaurant.id, {
+        serverId,
+        serverProfileId,
+        name: restaurant.name
+      });
+    }
+  }
+
+  /**
+   * Get the sync state of a restaurant
+   * - 'pending': created locally and not uploaded yet
+   * - 'modified': edited locally since the last sync
+   * - 'conflict': edited locally and on the server, waiting for the user
+   * - 'error': the last upload failed (see `syncError`)
+   * - 'synced': same content as the server
+   * Records written before sync states existed get a state derived from their source.
+   * @param {Object} restaurant - Restaurant record
+   * @returns {string} Sync state
+   */
+  getSyncState(restaurant) {
+    if (restaurant.syncState) {
+      return restaurant.syncState;
+    }
+    if (restaurant.source === 'remote') {
+      return 'synced';
+    }
+    return restaurant.serverId ? 'modified' : 'pending';
+  }
+
+  /**
+   * Set the sync state of a restaurant without changing its content
+   * @param {number} restaurantId - Restaurant ID
+   * @param {string} syncState - New sync state (see getSyncState)
+   * @param {string|null} syncError - Error message for the 'error' state
+   * @returns {Promise<void>}
+   */
+  async setSyncState(restaurantId, syncState, syncError = null) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      await this.db.restaurants.update(restaurantId, { syncState, syncError });
+    } catch (error) {
+      console.error(`RestaurantRepository: Error setting sync state of restaurant ${restaurantId}:`, error);
+    }
+  }
+
+  /**
+   * Leave the 'error' state after a failed upload went through on retry
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<void>}
+   */
+  async clearSyncError(restaurantId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      await this.db.restaurants
+        .where('id')
+        .equals(restaurantId)
+        .filter(restaurant => restaurant.syncState === 'error')
+        .modify(restaurant => {
+          delete restaurant.syncState;
+          restaurant.syncState = this.getSyncState(restaurant);
+          restaurant.syncError = null;
+        });
+    } catch (error) {
+      console.error(`RestaurantRepository: Error clearing sync error of restaurant ${restaurantId}:`, error);
+    }
+  }
+
+  /**
+   * Build the photo records to store for a restaurant
+   * Photos can be given as photo data or as stored photo records. Photos that are kept
+   * keep their sync state (content hash, server IDs, upload progress), so they are not
+   * uploaded again.
+   * @param {number} restaurantId - Restaurant ID
+   * @param {Array} photos - Photo data or photo records
+   * @param {Array} previousPhotos - Photo records currently stored for the restaurant
+   * @returns {Object} { records, removed } - Records to store and previous photos not kept
+   * @private
+   */
+  _buildPhotoRecords(restaurantId, photos, previousPhotos = []) {
+    const previousById = new Map(previousPhotos.map(photo => [photo.id, photo]));
+    const previousByData = new Map(previousPhotos.map(photo => [photo.photoData, photo]));
+    const kept = new Set();
+    const records = [];
+    
+    for (const photo of photos || []) {
+      const isRecord = photo && typeof photo === 'object' && 'photoData' in photo;
+      const photoData = isRecord ? photo.photoData : photo;
+      if (!photoData) continue;
+      
+      const previous = (isRecord && previousById.get(photo.id)) || previousByData.get(photoData);
+      if (previous) {
+        kept.add(previous.id);
+      }
+      
+      records.push({
+        restaurantId,
+        photoData,
+        // Kept photos keep their key, so revisions can refer to them across saves
+        photoKey: (previous && previous.photoKey) || (isRecord && photo.photoKey) || databaseService.createKey(),
+        contentHash: previous ? previous.contentHash || null : null,
+        serverPhotoIds: previous ? previous.serverPhotoIds || {} : {},
+        upload: previous ? previous.upload || null : null
+      });
+    }
+    
+    return {
+      records,
+      removed: previousPhotos.filter(photo => !kept.has(photo.id))
+    };
+  }
+
+  /**
+   * Estimate the storage needed by photos that are not stored yet
+   * @param {Array} photos - Photo data or photo records, as passed to save and update
+   * @returns {number} Approximate size in bytes
+   * @private
+   */
+  _estimateNewPhotoBytes(photos) {
+    return (photos || []).reduce((total, photo) => {
+      const isRecord = photo && typeof photo === 'object' && 'photoData' in photo;
+      if (isRecord && photo.id) {
+        return total;
+      }
+      
+      const photoData = isRecord ? photo.photoData : photo;
+      return total + (photoData instanceof Blob ? photoData.size : String(photoData || '').length);
+    }, 0);
+  }
+
+  /**
+   * Get the stored photo records of a restaurant
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} Photo records
+   */
+  async getRestaurantPhotos(restaurantId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    return this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).toArray();
+  }
+
+  /**
+   * Update the sync state of a photo without touching the restaurant
+   * @param {number} photoId - Photo ID
+   * @param {Object} changes - Any of contentHash, serverPhotoIds and upload
+   * @returns {Promise<void>}
+   */
+  async updatePhotoSyncState(photoId, changes) {
+    try {
+      await this.db.restaurantPhotos.update(photoId, changes);
+    } catch (error) {
+      console.error(`RestaurantRepository: Error updating sync state of photo ${photoId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a photo downloaded from the server
+   * @param {number} restaurantId - Restaurant ID
+   * @param {string} photoData - Photo as a data URL
+   * @param {Object} syncState - { contentHash, serverPhotoIds }
+   * @returns {Promise<number>} Photo ID
+   */
+  async addPhotoFromServer(restaurantId, photoData, { contentHash, serverPhotoIds }) {
+    try {
+      await databaseService.ensureStorageAvailable(this._estimateNewPhotoBytes([photoData]));
+      
+      return await this.db.restaurantPhotos.add({
+        restaurantId,
+        photoData,
+        photoKey: databaseService.createKey(),
+        contentHash,
+        serverPhotoIds,
+        upload: null
+      });
+    } catch (error) {
+      console.error(`RestaurantRepository: Error adding server photo to restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a photo that was removed on the server
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<void>}
+   */
+  async removePhotoFromServer(photoId) {
+    try {
+      await this.db.restaurantPhotos.delete(photoId);
+    } catch (error) {
+      console.error(`RestaurantRepository: Error removing photo ${photoId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a pending server photo deletion once the server confirmed it
+   * @param {number} restaurantId - Restaurant ID
+   * @param {Object} photoDelete - { serverProfileId, serverPhotoId }
+   * @returns {Promise<void>}
+   */
+  async clearPhotoDelete(restaurantId, { serverProfileId, serverPhotoId }) {
+    try {
+      await this.db.restaurants
+        .where('id')
+        .equals(restaurantId)
+        .modify(restaurant => {
+          restaurant.photoDeletes = (restaurant.photoDeletes || []).filter(pending => 
+            pending.serverProfileId !== serverProfileId || String(pending.serverPhotoId) !== String(serverPhotoId));
+        });
+    } catch (error) {
+      console.error(`RestaurantRepository: Error clearing photo deletion for restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a curator to a restaurant without marking it as edited
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {number} curatorId - Local curator ID
+   * @returns {Promise<void>}
+   */
+  async updateRestaurantCurator(restaurantId, curatorId) {
+    try {
+      await this.db.restaurants.update(restaurantId, { curatorId });
+    } catch (error) {
+      console.error(`RestaurantRepository: Error updating curator of restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Detach a restaurant from the active server after the server removed it
+   * The restaurant becomes local-only, so its content and photos are uploaded again as a new record.
+   * @param {number} restaurantId - Local restaurant ID
+   * @returns {Promise<void>}
+   */
+  async detachFromServer(restaurantId) {
+    try {
+      const profileId = await this._getActiveProfileId();
+      
+      await this.db.transaction('rw', this.db.restaurants, this.db.restaurantPhotos, async () => {
+        const restaurant = await this.db.restaurants.get(restaurantId);
+        if (!restaurant) return;
+        
+        const serverIds = { ...(restaurant.serverIds || {}) };
+        delete serverIds[profileId];
+        
+        await this.db.restaurants.update(restaurantId, {
+          source: 'local',
+          serverId: null,
+          serverIds,
+          syncBase: null,
+          syncBaseVersion: null,
+          syncRevision: null,
+          syncState: 'pending',
+          syncError: null
+        });
+        
+        // The photos belonged to the removed server record
+        await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).modify(photo => {
+          this._forgetPhotoServerIds(photo, profileId);
+        });
+      });
+      
+      console.log(`RestaurantRepository: Restaurant ${restaurantId} detached from server`);
+    } catch (error) {
+      console.error(`RestaurantRepository: Error detaching restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get restaurants that need to be synced with server (local ones only)
    * @returns {Promise<Array>} Array of unsynced restaurant objects
@@ -546,7 +1076,7 @@ class RestaurantRepository {
       const unsyncedRestaurants = await this.db.restaurants
         .where('source')
         .equals('local')
-        .filter(restaurant => !restaurant.serverId)
+        .filter(restaurant => !restaurant.serverId && !restaurant.deletedAt)
         .toArray();
           
       console.log(`RestaurantRepository: Found ${unsyncedRestaurants.length} unsynced restaurants`);
@@ -588,17 +1118,57 @@ class RestaurantRepository {
     }
   }
 
+  /**
+   * Get synced restaurants whose photos differ from what a server profile has
+   * Covers photos the server has no ID for and pending server photo deletions.
+   * Restaurants that were never synced are left out: their photos follow the create.
+   * @param {string} serverProfileId - Server profile ID
+   * @returns {Promise<Array>} Restaurants as { id, name, serverId }
+   */
+  async getRestaurantsWithUnsentPhotos(serverProfileId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const restaurantIds = new Set();
+      await this.db.restaurantPhotos.each(photo => {
+        if (!photo.serverPhotoIds || !photo.serverPhotoIds[serverProfileId]) {
+          restaurantIds.add(photo.restaurantId);
+        }
+      });
+      
+      const restaurants = await this.db.restaurants
+        .filter(restaurant => Boolean(restaurant.serverId) && !restaurant.deletedAt && (
+          restaurantIds.has(restaurant.id) ||
+          (restaurant.photoDeletes || []).some(pending => pending.serverProfileId === serverProfileId)))
+        .toArray();
+      
+      return restaurants.map(({ id, name, serverId }) => ({ id, name, serverId }));
+    } catch (error) {
+      console.error('RestaurantRepository: Error getting restaurants with unsent photos:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update a restaurant's sync status after successful server sync
    * @param {number} restaurantId - Local restaurant ID
    * @param {number} serverId - Server restaurant ID
+   * @param {Object|null} syncBase - Synced content as { snapshot, version, revision }, used for conflict detection
    * @returns {Promise<void>}
    */
-  async updateRestaurantSyncStatus(restaurantId, serverId) {
+  async updateRestaurantSyncStatus(restaurantId, serverId, syncBase = null) {
     try {
+      const serverIds = await this._getServerIdsWith(restaurantId, serverId);
+      
       await this.db.restaurants.update(restaurantId, {
         source: 'remote', // Mark as remote since it's now synced with server
-        serverId: serverId
+        serverId: serverId,
+        serverIds,
+        syncState: 'synced',
+        syncError: null,
+        ...this._syncBaseFields(syncBase)
       });
       
       console.log(`RestaurantRepository: Restaurant ${restaurantId} marked as synced with server ID ${serverId}`);
@@ -608,48 +1178,240 @@ class RestaurantRepository {
     }
   }
 
+  /**
+   * Link a restaurant to a server record without changing its source
+   * Used when a local restaurant is matched to an existing server restaurant
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object|null} syncBase - Server content as { snapshot, version, revision }
+   * @returns {Promise<void>}
+   */
+  async linkRestaurantToServer(restaurantId, serverId, syncBase = null) {
+    try {
+      const serverIds = await this._getServerIdsWith(restaurantId, serverId);
+      await this.db.restaurants.update(restaurantId, {
+        serverId,
+        serverIds,
+        syncState: 'modified',
+        ...this._syncBaseFields(syncBase)
+      });
+      
+      console.log(`RestaurantRepository: Restaurant ${restaurantId} linked to server ID ${serverId}`);
+    } catch (error) {
+      console.error(`RestaurantRepository: Error linking restaurant ${restaurantId} to server:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the server content a restaurant was last reconciled with, keeping its source
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {Object} syncBase - Server content as { snapshot, version, revision }
+   * @returns {Promise<void>}
+   */
+  async updateSyncBase(restaurantId, syncBase) {
+    try {
+      await this.db.restaurants.update(restaurantId, this._syncBaseFields(syncBase));
+    } catch (error) {
+      console.error(`RestaurantRepository: Error updating sync base for restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a sync base into restaurant record fields
+   * @param {Object|null} syncBase - { snapshot, version, revision } or null
+   * @returns {Object} Fields to merge into the restaurant record
+   * @private
+   */
+  _syncBaseFields(syncBase) {
+    if (!syncBase) return {};
+    return {
+      syncBase: syncBase.snapshot,
+      syncBaseVersion: syncBase.version,
+      syncRevision: syncBase.revision || null
+    };
+  }
+
+  /**
+   * Switch the serverId of every restaurant to the mapping of another server profile
+   * Each restaurant keeps one server ID per profile in `serverIds`; `serverId` mirrors
+   * the entry of the active profile so queries and the UI stay profile-agnostic.
+   * @param {string} previousProfileId - Profile whose IDs are currently in `serverId`
+   * @param {string} profileId - Profile being activated
+   * @returns {Promise<number>} Number of restaurants updated
+   */
+  async applyServerProfile(previousProfileId, profileId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      let updatedCount = 0;
+      
+      await this.db.transaction('rw', this.db.restaurants, async () => {
+        await this.db.restaurants.toCollection().modify(restaurant => {
+          const serverIds = { ...(restaurant.serverIds || {}) };
+          
+          // Records created before profiles existed only carry the current serverId
+          if (restaurant.serverId && !serverIds[previousProfileId]) {
+            serverIds[previousProfileId] = restaurant.serverId;
+          }
+          
+          restaurant.serverIds = serverIds;
+          restaurant.serverId = serverIds[profileId] || null;
+          
+          // The sync base describes content of the previous server, not the new one
+          delete restaurant.syncBase;
+          delete restaurant.syncBaseVersion;
+          delete restaurant.syncRevision;
+          
+          // States recorded against the previous server don't apply to the new one
+          delete restaurant.syncState;
+          delete restaurant.syncError;
+          restaurant.syncState = this.getSyncState(restaurant);
+          updatedCount++;
+        });
+      });
+      
+      console.log(`RestaurantRepository: Applied server profile ${profileId} to ${updatedCount} restaurants`);
+      return updatedCount;
+    } catch (error) {
+      console.error(`RestaurantRepository: Error applying server profile ${profileId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget every server ID a server profile issued
+   * Used when a profile is deleted or pointed at another server. Restaurants lose their
+   * entry in `serverIds`, and their `serverId` and sync base when the profile is active;
+   * photos lose their server photo ID, pending server deletions and unfinished uploads
+   * for the profile.
+   * @param {string} profileId - Server profile ID
+   * @returns {Promise<number>} Number of restaurants that had an ID from the profile
+   */
+  async forgetServerProfile(profileId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const isActive = profileId === await this._getActiveProfileId();
+      let forgottenCount = 0;
+      
+      await this.db.transaction('rw', this.db.restaurants, this.db.restaurantPhotos, async () => {
+        await this.db.restaurants.toCollection().modify(restaurant => {
+          const serverIds = { ...(restaurant.serverIds || {}) };
+          const hadId = Boolean(serverIds[profileId] || (isActive && restaurant.serverId));
+          delete serverIds[profileId];
+          restaurant.serverIds = serverIds;
+          restaurant.photoDeletes = (restaurant.photoDeletes || []).filter(pending => pending.serverProfileId !== profileId);
+          
+          if (isActive && hadId) {
+            restaurant.serverId = null;
+            delete restaurant.syncBase;
+            delete restaurant.syncBaseVersion;
+            delete restaurant.syncRevision;
+            delete restaurant.syncState;
+            delete restaurant.syncError;
+            restaurant.syncState = this.getSyncState(restaurant);
+          }
+          if (hadId) forgottenCount++;
+        });
+        
+        await this.db.restaurantPhotos.toCollection().modify(photo => {
+          this._forgetPhotoServerIds(photo, profileId);
+        });
+      });
+      
+      console.log(`RestaurantRepository: Forgot server IDs of profile ${profileId} on ${forgottenCount} restaurants`);
+      return forgottenCount;
+    } catch (error) {
+      console.error(`RestaurantRepository: Error forgetting server profile ${profileId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the server photo IDs and unfinished uploads of all profiles from the photos of a restaurant
+   * Must run inside a transaction that includes restaurantPhotos.
+   * @param {number} restaurantId - Local restaurant ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forgetRestaurantPhotoServerIds(restaurantId) {
+    await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).modify(photo => {
+      photo.serverPhotoIds = {};
+      photo.upload = null;
+    });
+  }
+
+  /**
+   * Remove the server photo ID and unfinished upload of a profile from a photo record
+   * @param {Object} photo - Photo record, changed in place
+   * @param {string} profileId - Server profile ID
+   * @private
+   */
+  _forgetPhotoServerIds(photo, profileId) {
+    if (photo.serverPhotoIds && photo.serverPhotoIds[profileId]) {
+      const serverPhotoIds = { ...photo.serverPhotoIds };
+      delete serverPhotoIds[profileId];
+      photo.serverPhotoIds = serverPhotoIds;
+    }
+    if (photo.upload && photo.upload.serverProfileId === profileId) {
+      photo.upload = null;
+    }
+  }
+
+  /**
+   * Get the ID of the active server profile
+   * @returns {Promise<string>} Profile ID
+   * @private
+   */
+  async _getActiveProfileId() {
+    const profile = await settingsService.getActiveServerProfile();
+    return profile.id;
+  }
+
+  /**
+   * Build a restaurant's per-profile server ID map including a new server ID
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {string|number} serverId - Server ID for the active profile
+   * @returns {Promise<Object>} Updated server ID map
+   * @private
+   */
+  async _getServerIdsWith(restaurantId, serverId) {
+    const profileId = await this._getActiveProfileId();
+    const restaurant = await this.db.restaurants.get(restaurantId);
+    return { ...((restaurant && restaurant.serverIds) || {}), [profileId]: serverId };
+  }
+
   /**
    * Save a concept to the database
    * @param {string} category - Concept category
    * @param {string} value - Concept value
-   * @param {boolean} isRetry - Whether this is a retry attempt
    * @returns {Promise<number>} Concept ID
    * @private
    */
-  async _saveConcept(category, value, isRetry = false) {
+  async _saveConcept(category, value) {
     try {
       // Check for existing concept
-      let existingConcept = null;
-      try {
-        existingConcept = await this.db.concepts
-          .where('[category+value]')
-          .equals([category, value])
-          .first();
-      } catch (error) {
-        if (isRetry) throw error;
-        
-        // Try to reset and retry
-        await databaseService.resetDatabase();
-        return this._saveConcept(category, value, true);
-      }
+      const existingConcept = await this.db.concepts
+        .where('[category+value]')
+        .equals([category, value])
+        .first();
           
       if (existingConcept) {
         return existingConcept.id;
       }
       
       // Add new concept
-      try {
-        return await this.db.concepts.put({
-          category,
-          value,
-          timestamp: new Date()
-        });
-      } catch (error) {
-        if (isRetry) throw error;
-        
-        await databaseService.resetDatabase();
-        return this._saveConcept(category, value, true);
-      }
+      return await this.db.concepts.put({
+        category,
+        value,
+        timestamp: new Date()
+      });
     } catch (error) {
       console.error(`RestaurantRepository: Error saving concept ${category}:${value}:`, error);
       throw error;
@@ -0,0 +1,308 @@
+/**
+ * Repository for restaurant revisions
+ * Every save of a restaurant records a revision with the resulting state, who made
+ * the change and a field-level diff against the previous state. Photos are referred
+ * to by their `photoKey`; the content of photos a save removed is kept in that
+ * revision, so reverting can bring them back.
+ * History is bounded to keep storage in check: each restaurant keeps its newest
+ * MAX_REVISIONS revisions, and the content of removed photos is dropped after
+ * REMOVED_PHOTO_RETENTION_DAYS. Reverting to an older state then restores the
+ * restaurant without those photos.
+ *
+ * @module RevisionRepository
+ * @depends DatabaseService, CuratorRepository
+ */
+
+import databaseService from '../services/db/DatabaseService.js';
+import curatorRepository from './CuratorRepository.js';
+
+class RevisionRepository {
+  constructor() {
+    this.db = null;
+    this._initializeDb();
+  }
+
+  /**
+   * Initialize database reference
+   * @private
+   */
+  async _initializeDb() {
+    try {
+      this.db = await databaseService.ensureDatabase();
+    } catch (error) {
+      console.error('RevisionRepository: Error initializing database:', error);
+    }
+  }
+
+  /**
+   * Get the curator a change is attributed to
+   * Must be called outside restaurant transactions, which don't include the settings table.
+   * @returns {Promise<Object>} { curatorId, curatorName }, both null without a current curator
+   */
+  async getAuthor() {
+    const curator = await curatorRepository.getCurrentCurator();
+    return {
+      curatorId: curator ? curator.id : null,
+      curatorName: curator ? curator.name : null
+    };
+  }
+
+  /**
+   * Read the current state of a restaurant
+   * Must run inside a transaction that includes the restaurant, concept, location,
+   * photo and curator tables.
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<Object|null>} { state, photos } with the photo records, or null when it doesn't exist
+   */
+  async captureState(restaurantId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    const restaurant = await this.db.restaurants.get(restaurantId);
+    if (!restaurant) return null;
+    
+    const restaurantConcepts = await this.db.restaurantConcepts.where('restaurantId').equals(restaurantId).toArray();
+    const concepts = await this.db.concepts.bulkGet(restaurantConcepts.map(rc => rc.conceptId));
+    const location = await this.db.restaurantLocations.where('restaurantId').equals(restaurantId).first();
+    const photos = await this.db.restaurantPhotos.where('restaurantId').equals(restaurantId).toArray();
+    const curator = restaurant.curatorId ? await this.db.curators.get(restaurant.curatorId) : null;
+    
+    return {
+      state: {
+        name: restaurant.name || '',
+        curatorId: restaurant.curatorId || null,
+        curatorName: curator ? curator.name : null,
+        description: restaurant.description || '',
+        transcription: restaurant.transcription || '',
+        concepts: concepts
+          .filter(Boolean)
+          .map(concept => ({ category: concept.category, value: concept.value })),
+        location: location
+          ? { latitude: location.latitude, longitude: location.longitude, address: location.address || null }
+          : null,
+        photoKeys: photos.map(photo => photo.photoKey).filter(Boolean)
+      },
+      photos
+    };
+  }
+
+  /**
+   * Record a revision with the current state of a restaurant
+   * Saves that change nothing are not recorded, except the first one. The first change
+   * to a restaurant saved before revisions existed also records its previous state as
+   * a 'baseline' revision, so it can be reverted to.
+   * Must run inside the transaction that saved the restaurant, which also includes
+   * the restaurantRevisions table.
+   * @param {number} restaurantId - Restaurant ID
+   * @param {Object|null} before - Result of captureState before the save, or null for a new restaurant
+   * @param {Object} details - Revision details
+   * @param {Object} details.author - { curatorId, curatorName } from getAuthor
+   * @param {string} details.origin - 'create', 'edit', 'sync' or 'revert'
+   * @param {number|null} details.revertedFrom - Revision restored by a revert
+   * @returns {Promise<number|null>} Revision ID, or null when nothing changed
+   */
+  async recordRevision(restaurantId, before, { author, origin, revertedFrom = null }) {
+    const after = await this.captureState(restaurantId);
+    if (!after) return null;
+    
+    const changes = before ? this.diffStates(before.state, after.state) : [];
+    if (before && changes.length === 0) {
+      return null;
+    }
+    
+    if (before && await this.db.restaurantRevisions.where('restaurantId').equals(restaurantId).count() === 0) {
+      await this.db.restaurantRevisions.add({
+        restaurantId,
+        createdAt: new Date(),
+        curatorId: null,
+        curatorName: null,
+        origin: 'baseline',
+        revertedFrom: null,
+        state: before.state,
+        changes: [],
+        removedPhotos: []
+      });
+    }
+    
+    const keptKeys = new Set(after.state.photoKeys);
+    const removedPhotos = before
+      ? before.photos
+        .filter(photo => photo.photoKey && !keptKeys.has(photo.photoKey))
+        .map(photo => ({ photoKey: photo.photoKey, photoData: photo.photoData }))
+      : [];
+    
+    const revisionId = await this.db.restaurantRevisions.add({
+      restaurantId,
+      createdAt: new Date(),
+      curatorId: author ? author.curatorId : null,
+      curatorName: author ? author.curatorName : null,
+      origin,
+      revertedFrom,
+      state: after.state,
+      changes,
+      removedPhotos
+    });
+    
+    await this._pruneRevisions(restaurantId);
+    
+    console.log(`RevisionRepository: Recorded ${origin} revision ${revisionId} for restaurant ${restaurantId}`);
+    return revisionId;
+  }
+
+  /**
+   * Drop the oldest revisions of a restaurant beyond MAX_REVISIONS
+   * Must run inside the transaction that recorded the newest revision.
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pruneRevisions(restaurantId) {
+    const revisionIds = await this.db.restaurantRevisions.where('restaurantId').equals(restaurantId).primaryKeys();
+    const excess = revisionIds.sort((a, b) => a - b).slice(0, -RevisionRepository.MAX_REVISIONS);
+    
+    if (excess.length > 0) {
+      await this.db.restaurantRevisions.bulkDelete(excess);
+    }
+  }
+
+  /**
+   * Drop the content of removed photos kept longer than REMOVED_PHOTO_RETENTION_DAYS
+   * @returns {Promise<number>} Number of revisions whose photos were dropped
+   */
+  async purgeRemovedPhotos() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const retentionDays = RevisionRepository.REMOVED_PHOTO_RETENTION_DAYS;
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+      const purged = await this.db.restaurantRevisions
+        .where('createdAt')
+        .below(cutoff)
+        .filter(revision => (revision.removedPhotos || []).length > 0)
+        .modify(revision => {
+          revision.removedPhotos = [];
+        });
+      
+      if (purged > 0) {
+        console.log(`RevisionRepository: Dropped photos removed more than ${retentionDays} days ago from ${purged} revisions`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('RevisionRepository: Error purging removed photos:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Compare two restaurant states field by field
+   * Text fields and the curator report { field, before, after }; concepts report the
+   * added and removed concepts, photos the number added and removed.
+   * @param {Object} before - Earlier state
+   * @param {Object} after - Later state
+   * @returns {Array} Changes
+   */
+  diffStates(before, after) {
+    const changes = [];
+    
+    for (const field of ['name', 'description', 'transcription']) {
+      if ((before[field] || '') !== (after[field] || '')) {
+        changes.push({ field, before: before[field] || '', after: after[field] || '' });
+      }
+    }
+    
+    if ((before.curatorId || null) !== (after.curatorId || null)) {
+      changes.push({ field: 'curator', before: before.curatorName, after: after.curatorName });
+    }
+    
+    if (JSON.stringify(before.location) !== JSON.stringify(after.location)) {
+      changes.push({ field: 'location', before: before.location, after: after.location });
+    }
+    
+    const conceptKey = concept => `${concept.category}\u0000${concept.value}`;
+    const beforeConcepts = new Set(before.concepts.map(conceptKey));
+    const afterConcepts = new Set(after.concepts.map(conceptKey));
+    const addedConcepts = after.concepts.filter(concept => !beforeConcepts.has(conceptKey(concept)));
+    const removedConcepts = before.concepts.filter(concept => !afterConcepts.has(conceptKey(concept)));
+    if (addedConcepts.length > 0 || removedConcepts.length > 0) {
+      changes.push({ field: 'concepts', added: addedConcepts, removed: removedConcepts });
+    }
+    
+    const beforePhotos = new Set(before.photoKeys);
+    const afterPhotos = new Set(after.photoKeys);
+    const addedPhotos = after.photoKeys.filter(key => !beforePhotos.has(key)).length;
+    const removedPhotos = before.photoKeys.filter(key => !afterPhotos.has(key)).length;
+    if (addedPhotos > 0 || removedPhotos > 0) {
+      changes.push({ field: 'photos', added: addedPhotos, removed: removedPhotos });
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Get the revisions of a restaurant, newest first, without kept photo content
+   * @param {number} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRevisions(restaurantId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const revisions = await this.db.restaurantRevisions.where('restaurantId').equals(restaurantId).toArray();
+      return revisions
+        .sort((a, b) => b.id - a.id)
+        .map(({ removedPhotos, ...revision }) => revision);
+    } catch (error) {
+      console.error(`RevisionRepository: Error getting revisions of restaurant ${restaurantId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a revision
+   * @param {number} revisionId - Revision ID
+   * @returns {Promise<Object|undefined>} Revision
+   */
+  async getRevision(revisionId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    return this.db.restaurantRevisions.get(revisionId);
+  }
+
+  /**
+   * Find the content of photos removed from a restaurant by earlier saves
+   * @param {number} restaurantId - Restaurant ID
+   * @param {Array<string>} photoKeys - Keys of the photos to find
+   * @returns {Promise<Map>} Photos as { photoKey, photoData } by key; photos never kept are missing
+   */
+  async findRemovedPhotos(restaurantId, photoKeys) {
+    const wanted = new Set(photoKeys);
+    const found = new Map();
+    if (wanted.size === 0) return found;
+    
+    const revisions = await this.db.restaurantRevisions.where('restaurantId').equals(restaurantId).toArray();
+    for (const revision of revisions) {
+      for (const photo of revision.removedPhotos || []) {
+        if (wanted.has(photo.photoKey)) {
+          found.set(photo.photoKey, photo);
+        }
+      }
+    }
+    return found;
+  }
+}
+
+// Most revisions kept per restaurant
+RevisionRepository.MAX_REVISIONS = 50;
+
+// Days the content of photos removed by a save is kept for reverts
+RevisionRepository.REMOVED_PHOTO_RETENTION_DAYS = 30;
+
+// Create and export singleton instance
+const revisionRepository = new RevisionRepository();
+export default revisionRepository;
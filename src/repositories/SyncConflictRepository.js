@@ -0,0 +1,154 @@
+/**
+ * Repository for sync conflicts between local edits and server changes
+ * Stores a snapshot of both versions (and the last synced base) until the user resolves it
+ *
+ * @module SyncConflictRepository
+ * @depends DatabaseService
+ */
+
+import databaseService from '../services/db/DatabaseService.js';
+
+class SyncConflictRepository {
+  constructor() {
+    this.db = null;
+    this._initializeDb();
+  }
+
+  /**
+   * Initialize database reference
+   * @private
+   */
+  async _initializeDb() {
+    try {
+      this.db = await databaseService.ensureDatabase();
+    } catch (error) {
+      console.error('SyncConflictRepository: Error initializing database:', error);
+    }
+  }
+
+  /**
+   * Record a conflict for a restaurant, replacing any open conflict it already has
+   * @param {Object} conflict - Conflict data
+   * @param {number} conflict.restaurantId - Local restaurant ID
+   * @param {string|number} conflict.serverId - Server restaurant ID
+   * @param {Object} conflict.local - Snapshot of the local version
+   * @param {Object} conflict.remote - Snapshot of the server version
+   * @param {string|null} conflict.remoteRevision - Server revision of that version, for backends that have them
+   * @param {Object|null} conflict.base - Snapshot of the last synced version, if known
+   * @returns {Promise<number>} Conflict ID
+   */
+  async recordConflict({ restaurantId, serverId, local, remote, remoteRevision = null, base = null }) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const existing = await this.getOpenConflictForRestaurant(restaurantId);
+      const record = {
+        restaurantId,
+        serverId,
+        local,
+        remote,
+        remoteRevision,
+        base,
+        status: 'open',
+        detectedAt: new Date()
+      };
+      
+      if (existing) {
+        await this.db.syncConflicts.update(existing.id, record);
+        console.log(`SyncConflictRepository: Updated conflict ${existing.id} for restaurant ${restaurantId}`);
+        return existing.id;
+      }
+      
+      const conflictId = await this.db.syncConflicts.add(record);
+      console.log(`SyncConflictRepository: Recorded conflict ${conflictId} for restaurant ${restaurantId}`);
+      return conflictId;
+    } catch (error) {
+      console.error(`SyncConflictRepository: Error recording conflict for restaurant ${restaurantId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conflict by ID
+   * @param {number} conflictId - Conflict ID
+   * @returns {Promise<Object|null>} Conflict or null if not found
+   */
+  async getConflict(conflictId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      return (await this.db.syncConflicts.get(conflictId)) || null;
+    } catch (error) {
+      console.error(`SyncConflictRepository: Error getting conflict ${conflictId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the unresolved conflict of a restaurant
+   * @param {number} restaurantId - Local restaurant ID
+   * @returns {Promise<Object|null>} Open conflict or null
+   */
+  async getOpenConflictForRestaurant(restaurantId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const conflict = await this.db.syncConflicts
+        .where('restaurantId')
+        .equals(restaurantId)
+        .filter(item => item.status === 'open')
+        .first();
+      
+      return conflict || null;
+    } catch (error) {
+      console.error(`SyncConflictRepository: Error getting conflict for restaurant ${restaurantId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all unresolved conflicts
+   * @returns {Promise<Array>} Open conflicts, oldest first
+   */
+  async getOpenConflicts() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const conflicts = await this.db.syncConflicts.where('status').equals('open').toArray();
+      return conflicts.sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt));
+    } catch (error) {
+      console.error('SyncConflictRepository: Error getting open conflicts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mark a conflict as resolved
+   * @param {number} conflictId - Conflict ID
+   * @param {Object} resolution - Field choices and resulting values
+   * @returns {Promise<void>}
+   */
+  async markResolved(conflictId, resolution) {
+    try {
+      await this.db.syncConflicts.update(conflictId, {
+        status: 'resolved',
+        resolution,
+        resolvedAt: new Date()
+      });
+      console.log(`SyncConflictRepository: Conflict ${conflictId} resolved`);
+    } catch (error) {
+      console.error(`SyncConflictRepository: Error resolving conflict ${conflictId}:`, error);
+      throw error;
+    }
+  }
+}
+
+const syncConflictRepository = new SyncConflictRepository();
+export default syncConflictRepository;
@@ -0,0 +1,287 @@
+/**
+ * Repository for the durable sync outbox
+ * Records local creates, updates and deletes of restaurants, and photo uploads that
+ * follow them, so they can be pushed to the server in order, retried with exponential backoff, and dead-lettered
+ * after repeated failures
+ *
+ * @module SyncOutboxRepository
+ * @depends DatabaseService
+ */
+
+import databaseService from '../services/db/DatabaseService.js';
+
+class SyncOutboxRepository {
+  constructor() {
+    this.db = null;
+    this.maxAttempts = 8;
+    this.baseRetryDelayMs = 30 * 1000;
+    this.maxRetryDelayMs = 60 * 60 * 1000;
+    this.enqueueListeners = new Set();
+    this._initializeDb();
+  }
+
+  /**
+   * Initialize database reference
+   * @private
+   */
+  async _initializeDb() {
+    try {
+      this.db = await databaseService.ensureDatabase();
+    } catch (error) {
+      console.error('SyncOutboxRepository: Error initializing database:', error);
+    }
+  }
+
+  /**
+   * Add an operation to the outbox
+   * Pending operations are coalesced: create and update payloads are read from the
+   * restaurant when the entry is sent, so one pending entry per restaurant is enough.
+   * The same holds for photo uploads, which read the restaurant's photos when sent.
+   * Can be called inside a transaction that includes the syncOutbox table.
+   * @param {string} operation - 'create', 'update', 'delete' or 'photos'
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {Object} data - Extra data (serverId, serverProfileId and name for deletes)
+   * @returns {Promise<number|null>} Entry ID, or null when coalesced into an existing entry
+   */
+  async enqueue(operation, restaurantId, data = {}) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    const pending = await this.db.syncOutbox
+      .where('restaurantId')
+      .equals(restaurantId)
+      .filter(entry => entry.status === 'pending')
+      .toArray();
+    
+    if (operation === 'delete') {
+      // Drop unsent changes; a restaurant the server never saw needs no delete
+      const unsent = pending.filter(entry => entry.operation !== 'delete');
+      await this.db.syncOutbox.bulkDelete(unsent.map(entry => entry.id));
+      if (!data.serverId) {
+        console.log(`SyncOutboxRepository: Restaurant ${restaurantId} was never synced, nothing to delete remotely`);
+        return null;
+      }
+    } else if (pending.some(entry => this._coalescesWith(entry.operation, operation))) {
+      return null;
+    }
+    
+    const now = new Date();
+    const entryId = await this.db.syncOutbox.add({
+      restaurantId,
+      operation,
+      serverId: data.serverId || null,
+      serverProfileId: data.serverProfileId || null,
+      name: data.name || null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: now
+    });
+    
+    console.log(`SyncOutboxRepository: Queued ${operation} for restaurant ${restaurantId} (entry ${entryId})`);
+    this._notifyEnqueued({ entryId, operation, restaurantId });
+    return entryId;
+  }
+
+  /**
+   * Register a listener called whenever an entry is queued
+   * The entry may still be part of an uncommitted transaction when it is called.
+   * @param {Function} listener - Called with { entryId, operation, restaurantId }
+   * @returns {Function} Removes the listener
+   */
+  addEnqueueListener(listener) {
+    this.enqueueListeners.add(listener);
+    return () => this.enqueueListeners.delete(listener);
+  }
+
+  /**
+   * Notify enqueue listeners
+   * @param {Object} event - Queued entry details
+   * @private
+   */
+  _notifyEnqueued(event) {
+    this.enqueueListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('SyncOutboxRepository: Error in enqueue listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether a pending operation already covers a new one
+   * @param {string} pendingOperation - Operation of the pending entry
+   * @param {string} operation - Operation being queued
+   * @returns {boolean} True when the new operation is redundant
+   * @private
+   */
+  _coalescesWith(pendingOperation, operation) {
+    if (operation === 'photos') {
+      return pendingOperation === 'photos';
+    }
+    return pendingOperation === 'create' || pendingOperation === 'update';
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|undefined>} Entry
+   */
+  async getEntry(entryId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    return this.db.syncOutbox.get(entryId);
+  }
+
+  /**
+   * Get pending entries in the order they were queued
+   * @returns {Promise<Array>} Pending entries
+   */
+  async getPendingEntries() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const entries = await this.db.syncOutbox.where('status').equals('pending').toArray();
+      return entries.sort((a, b) => a.id - b.id);
+    } catch (error) {
+      console.error('SyncOutboxRepository: Error getting pending entries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get entries that exhausted their retries
+   * @returns {Promise<Array>} Dead-lettered entries
+   */
+  async getDeadEntries() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const entries = await this.db.syncOutbox.where('status').equals('dead').toArray();
+      return entries.sort((a, b) => a.id - b.id);
+    } catch (error) {
+      console.error('SyncOutboxRepository: Error getting dead entries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a restaurant has an unsent create or update
+   * @param {number} restaurantId - Local restaurant ID
+   * @returns {Promise<boolean>} True when a pending or dead create/update exists
+   */
+  async hasUnsentChanges(restaurantId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    const count = await this.db.syncOutbox
+      .where('restaurantId')
+      .equals(restaurantId)
+      .filter(entry => entry.operation === 'create' || entry.operation === 'update')
+      .count();
+    return count > 0;
+  }
+
+  /**
+   * Count entries by status
+   * @returns {Promise<Object>} { pending, dead }
+   */
+  async getCounts() {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      return {
+        pending: await this.db.syncOutbox.where('status').equals('pending').count(),
+        dead: await this.db.syncOutbox.where('status').equals('dead').count()
+      };
+    } catch (error) {
+      console.error('SyncOutboxRepository: Error counting entries:', error);
+      return { pending: 0, dead: 0 };
+    }
+  }
+
+  /**
+   * Remove an entry after it was sent successfully
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<void>}
+   */
+  async markSucceeded(entryId) {
+    await this.db.syncOutbox.delete(entryId);
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one with exponential backoff
+   * @param {number} entryId - Entry ID
+   * @param {Error} error - Failure cause
+   * @returns {Promise<Object>} Updated entry
+   */
+  async markFailed(entryId, error) {
+    const entry = await this.db.syncOutbox.get(entryId);
+    if (!entry) return null;
+    
+    const attempts = (entry.attempts || 0) + 1;
+    const delay = Math.min(this.baseRetryDelayMs * Math.pow(2, attempts - 1), this.maxRetryDelayMs);
+    const changes = {
+      attempts,
+      lastError: error ? error.message : 'Unknown error',
+      lastAttemptAt: new Date(),
+      nextAttemptAt: new Date(Date.now() + delay),
+      status: attempts >= this.maxAttempts ? 'dead' : 'pending'
+    };
+    
+    await this.db.syncOutbox.update(entryId, changes);
+    
+    if (changes.status === 'dead') {
+      console.warn(`SyncOutboxRepository: Entry ${entryId} dead-lettered after ${attempts} attempts: ${changes.lastError}`);
+    }
+    
+    return { ...entry, ...changes };
+  }
+
+  /**
+   * Move dead-lettered entries back to the queue for an immediate retry
+   * @returns {Promise<number>} Number of entries requeued
+   */
+  async retryDeadEntries() {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    const count = await this.db.syncOutbox
+      .where('status')
+      .equals('dead')
+      .modify({ status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+    
+    console.log(`SyncOutboxRepository: Requeued ${count} dead-lettered entries`);
+    return count;
+  }
+
+  /**
+   * Delete the entries tied to a server profile: server deletes and photo uploads
+   * Creates and updates go to whichever server is active and are kept.
+   * @param {string} serverProfileId - Server profile ID
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async deleteForProfile(serverProfileId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    return this.db.syncOutbox.filter(entry => entry.serverProfileId === serverProfileId).delete();
+  }
+}
+
+const syncOutboxRepository = new SyncOutboxRepository();
+export default syncOutboxRepository;
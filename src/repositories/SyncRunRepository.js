@@ -0,0 +1,109 @@
+/**
+ * Repository for the sync run log
+ * Keeps one record per sync run with its timing, trigger, server profile and the
+ * outcome for every restaurant it touched, so failed syncs can be traced afterwards
+ *
+ * @module SyncRunRepository
+ * @depends DatabaseService
+ */
+
+import databaseService from '../services/db/DatabaseService.js';
+
+class SyncRunRepository {
+  constructor() {
+    this.db = null;
+    this.maxRuns = 50;
+    this._initializeDb();
+  }
+
+  /**
+   * Initialize database reference
+   * @private
+   */
+  async _initializeDb() {
+    try {
+      this.db = await databaseService.ensureDatabase();
+    } catch (error) {
+      console.error('SyncRunRepository: Error initializing database:', error);
+    }
+  }
+
+  /**
+   * Store a finished sync run and drop the oldest runs beyond the retention limit
+   * @param {Object} run - Run data
+   * @param {string} run.trigger - What started the run: 'manual', 'interval', 'startup', 'online', 'visible', 'leader', 'push' or 'retry'
+   * @param {string|null} run.serverProfileId - Server profile synced with
+   * @param {string|null} run.serverProfileName - Name of that profile, as it was at the time
+   * @param {Date} run.startedAt - Start time
+   * @param {Date} run.endedAt - End time
+   * @param {string} run.status - 'success', 'partial', 'error' or 'cancelled'
+   * @param {string|null} run.error - Failure message
+   * @param {Object} run.summary - Counts of added, updated, removed, conflicts, exported and failed restaurants
+   * @param {Array} run.outcomes - One { direction, name, serverId, restaurantId, action, reason } per restaurant
+   * @returns {Promise<number|null>} Run ID, or null when it could not be stored
+   */
+  async recordRun(run) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const runId = await this.db.syncRuns.add({
+        ...run,
+        durationMs: run.endedAt - run.startedAt
+      });
+      
+      const count = await this.db.syncRuns.count();
+      if (count > this.maxRuns) {
+        const oldest = await this.db.syncRuns.orderBy('startedAt').limit(count - this.maxRuns).primaryKeys();
+        await this.db.syncRuns.bulkDelete(oldest);
+      }
+      
+      console.log(`SyncRunRepository: Recorded ${run.trigger} sync run ${runId} (${run.status})`);
+      return runId;
+    } catch (error) {
+      console.error('SyncRunRepository: Error recording sync run:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the most recent runs, newest first, without their outcomes
+   * @param {number} limit - Maximum number of runs
+   * @returns {Promise<Array>} Runs
+   */
+  async getRecentRuns(limit = 20) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const runs = await this.db.syncRuns.orderBy('startedAt').reverse().limit(limit).toArray();
+      return runs.map(({ outcomes, ...run }) => ({ ...run, outcomeCount: (outcomes || []).length }));
+    } catch (error) {
+      console.error('SyncRunRepository: Error getting sync runs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a run with its per-restaurant outcomes
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object|null>} Run or null if not found
+   */
+  async getRun(runId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      return (await this.db.syncRuns.get(runId)) || null;
+    } catch (error) {
+      console.error(`SyncRunRepository: Error getting sync run ${runId}:`, error);
+      return null;
+    }
+  }
+}
+
+const syncRunRepository = new SyncRunRepository();
+export default syncRunRepository;
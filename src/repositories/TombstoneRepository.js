@@ -0,0 +1,114 @@
+/**
+ * Repository for deletion tombstones
+ * Remembers server restaurants deleted locally so imports don't bring them back,
+ * and tracks whether the server has confirmed the deletion
+ *
+ * @module TombstoneRepository
+ * @depends DatabaseService
+ */
+
+import databaseService from '../services/db/DatabaseService.js';
+
+class TombstoneRepository {
+  constructor() {
+    this.db = null;
+    this._initializeDb();
+  }
+
+  /**
+   * Initialize database reference
+   * @private
+   */
+  async _initializeDb() {
+    try {
+      this.db = await databaseService.ensureDatabase();
+    } catch (error) {
+      console.error('TombstoneRepository: Error initializing database:', error);
+    }
+  }
+
+  /**
+   * Record that a synced restaurant was deleted locally
+   * Can be called inside a transaction that includes the restaurantTombstones table.
+   * @param {Object} tombstone - Tombstone data
+   * @param {number} tombstone.restaurantId - Local ID the restaurant had
+   * @param {string} tombstone.name - Restaurant name, for reporting
+   * @param {string|number} tombstone.serverId - Server restaurant ID
+   * @param {string} tombstone.serverProfileId - Server profile that issued the ID
+   * @returns {Promise<number>} Tombstone ID
+   */
+  async recordTombstone({ restaurantId, name, serverId, serverProfileId }) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    const tombstoneId = await this.db.restaurantTombstones.add({
+      restaurantId,
+      name,
+      serverId: String(serverId),
+      serverProfileId,
+      status: 'pending',
+      deletedAt: new Date()
+    });
+    
+    console.log(`TombstoneRepository: Recorded tombstone for server restaurant ${serverId}`);
+    return tombstoneId;
+  }
+
+  /**
+   * Get the server IDs deleted locally for a server profile
+   * @param {string} serverProfileId - Server profile ID
+   * @returns {Promise<Set<string>>} Deleted server IDs
+   */
+  async getDeletedServerIds(serverProfileId) {
+    try {
+      if (!this.db) {
+        await this._initializeDb();
+      }
+      
+      const tombstones = await this.db.restaurantTombstones
+        .where('serverProfileId')
+        .equals(serverProfileId)
+        .toArray();
+      
+      return new Set(tombstones.map(tombstone => tombstone.serverId));
+    } catch (error) {
+      console.error('TombstoneRepository: Error getting tombstones:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Mark the tombstone of a server restaurant as confirmed by the server
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {string} serverProfileId - Server profile ID
+   * @returns {Promise<void>}
+   */
+  async markConfirmed(serverId, serverProfileId) {
+    try {
+      await this.db.restaurantTombstones
+        .where('serverId')
+        .equals(String(serverId))
+        .filter(tombstone => tombstone.serverProfileId === serverProfileId)
+        .modify({ status: 'confirmed', confirmedAt: new Date() });
+    } catch (error) {
+      console.error(`TombstoneRepository: Error confirming tombstone for ${serverId}:`, error);
+    }
+  }
+
+  /**
+   * Delete the tombstones of a server profile
+   * @param {string} serverProfileId - Server profile ID
+   * @returns {Promise<number>} Number of tombstones deleted
+   */
+  async deleteForProfile(serverProfileId) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    return this.db.restaurantTombstones.where('serverProfileId').equals(serverProfileId).delete();
+  }
+}
+
+const tombstoneRepository = new TombstoneRepository();
+export default tombstoneRepository;
@@ -2,13 +2,18 @@
  * Main application controller that handles UI interactions and data flow
  * 
  * @module App
- * @depends DatabaseService, SyncService, RestaurantRepository, CuratorRepository
+ * @depends DatabaseService, SnapshotService, SyncService, SyncLeaderService, RestaurantRepository, RevisionRepository, CuratorRepository, SyncConflictRepository, SyncOutboxRepository, SyncRunRepository
  */
 
 import databaseService from '../services/db/DatabaseService.js';
-import { syncService, settingsService, autoSyncService } from '../services/index.js';
+import snapshotService from '../services/db/SnapshotService.js';
+import { syncService, settingsService, autoSyncService, syncLeaderService } from '../services/index.js';
 import restaurantRepository from '../repositories/RestaurantRepository.js';
+import revisionRepository from '../repositories/RevisionRepository.js';
 import curatorRepository from '../repositories/CuratorRepository.js';
+import syncConflictRepository from '../repositories/SyncConflictRepository.js';
+import syncOutboxRepository from '../repositories/SyncOutboxRepository.js';
+import syncRunRepository from '../repositories/SyncRunRepository.js';
 
 class App {
   constructor() {
@@ -16,12 +21,20 @@ class App {
     this.currentView = 'restaurants';
     this.viewMode = 'grid';
     this.activeRestaurant = null;
+    this.activeConflict = null;
     this.currentCurator = null;
+    this.serverProfiles = [];
+    this.syncPreview = null;
+    this.loginProfileId = null;
+    this.activeSyncRun = null;
+    this.syncRuleConcepts = [];
+    this.deleteConfirmAction = null;
     this.searchTerm = '';
     this.filters = {
       curator: 'all',
       concept: 'all',
-      source: 'all'
+      source: 'all',
+      syncState: 'all'
     };
     
     console.log('App: Initializing application...');
@@ -38,6 +51,22 @@ class App {
       console.log('App: Setting up event listeners');
       this.setupEventListeners();
       
+      // Nothing else works without the database; let the user decide what to do
+      try {
+        await databaseService.ensureDatabase();
+      } catch (error) {
+        this.showDatabaseError(error);
+        return;
+      }
+      
+      databaseService.addStorageWarningListener(estimate => {
+        this.showWarning(`Storage is ${Math.round(estimate.ratio * 100)}% full. Delete unused photos or restaurants to keep saving.`);
+      });
+      
+      // Drop trashed restaurants and the photos kept by revisions past their retention periods
+      await restaurantRepository.purgeExpiredTrash();
+      await revisionRepository.purgeRemovedPhotos();
+      
       // Load current curator
       await this.loadCurrentCurator();
       
@@ -106,6 +135,11 @@ class App {
       this.loadRestaurants();
     });
     
+    document.getElementById('filterSyncState').addEventListener('change', (e) => {
+      this.filters.syncState = e.target.value;
+      this.loadRestaurants();
+    });
+    
     // Add new restaurant
     document.getElementById('addNewBtn').addEventListener('click', () => {
       this.showRestaurantEditor();
@@ -129,6 +163,36 @@ class App {
       await this.performManualSync();
     });
     
+    document.getElementById('cancelSyncBtn').addEventListener('click', () => {
+      this.cancelSync();
+    });
+    
+    document.getElementById('resetSyncBtn').addEventListener('click', () => {
+      this.resetSyncCircuit();
+    });
+    
+    // Sync progress from manual, scheduled and outbox runs
+    syncService.addProgressListener(progress => {
+      this.updateSyncStatus(progress);
+    });
+    
+    // Show when changes can't be uploaded
+    window.addEventListener('online', () => this.updateSyncStatus());
+    window.addEventListener('offline', () => this.updateSyncStatus());
+    
+    // Reload data synced by another open tab
+    syncLeaderService.addMessageListener(message => {
+      if (message.type === 'sync-completed' || message.type === 'outbox-drained') {
+        this.refreshAfterRemoteSync(message);
+      }
+    });
+    
+    // Ask the user to sign in when a server rejects our credentials
+    syncService.addAuthListener(event => {
+      this.showError(event.message);
+      this.showLoginModal(event.profileId);
+    });
+    
     // Concept related
     document.getElementById('addConceptBtn').addEventListener('click', () => {
       this.showAddConceptModal();
@@ -170,6 +234,123 @@ class App {
     document.getElementById('confirmDeleteBtn').addEventListener('click', () => {
       this.deleteConfirmed();
     });
+    
+    // Sync conflict resolution
+    document.getElementById('conflictKeepLocalBtn').addEventListener('click', () => {
+      this.selectAllConflictChoices('local');
+    });
+    
+    document.getElementById('conflictKeepRemoteBtn').addEventListener('click', () => {
+      this.selectAllConflictChoices('remote');
+    });
+    
+    document.getElementById('resolveConflictBtn').addEventListener('click', () => {
+      this.resolveActiveConflict();
+    });
+    
+    // Server profile controls
+    document.getElementById('syncServerProfile').addEventListener('change', (e) => {
+      this.showServerProfile(e.target.value);
+    });
+    
+    document.getElementById('retryOutboxBtn').addEventListener('click', () => {
+      this.retryFailedOutbox();
+    });
+    
+    // Sync preview
+    document.getElementById('previewSyncBtn').addEventListener('click', () => {
+      this.previewSync();
+    });
+    
+    document.getElementById('runPreviewedSyncBtn').addEventListener('click', () => {
+      this.runPreviewedSync();
+    });
+    
+    // Sync run log
+    document.getElementById('syncHistoryList').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item[data-run-id]');
+      if (item) {
+        this.showSyncRun(parseInt(item.dataset.runId));
+      }
+    });
+    
+    // Revision history
+    document.getElementById('revisionList').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-revision-id]');
+      if (button) {
+        this.revertToRevision(parseInt(button.dataset.revisionId));
+      }
+    });
+    
+    // Trash
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+      this.confirmEmptyTrash();
+    });
+    
+    document.getElementById('trashList').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-restaurant-id]');
+      if (!button) return;
+      
+      const restaurantId = parseInt(button.dataset.restaurantId);
+      if (button.dataset.action === 'restore') {
+        this.restoreFromTrash(restaurantId);
+      } else if (button.dataset.action === 'delete') {
+        this.confirmDeleteFromTrash(restaurantId, button.dataset.name);
+      }
+    });
+    
+    // Storage
+    document.getElementById('persistStorageBtn').addEventListener('click', async () => {
+      const persisted = await databaseService.requestPersistentStorage();
+      if (!persisted) {
+        this.showInfo('The browser declined persistent storage. Installing the app or bookmarking it can help.');
+      }
+      await this.loadStorageInfo();
+    });
+    
+    // Safety snapshots
+    document.getElementById('createSnapshotBtn').addEventListener('click', () => {
+      this.createSnapshot();
+    });
+    
+    document.getElementById('snapshotList').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-snapshot-id]');
+      if (!button) return;
+      
+      const snapshotId = parseInt(button.dataset.snapshotId);
+      if (button.dataset.action === 'download') {
+        this.downloadSnapshot(snapshotId);
+      } else if (button.dataset.action === 'restore') {
+        this.confirmRestoreSnapshot(snapshotId);
+      }
+    });
+    
+    document.getElementById('syncRunProblemsOnly').addEventListener('change', () => {
+      if (this.activeSyncRun) {
+        this.renderSyncRun(this.activeSyncRun);
+      }
+    });
+    
+    document.getElementById('addServerProfileBtn').addEventListener('click', () => {
+      this.startNewServerProfile();
+    });
+    
+    // Server sign-in
+    document.getElementById('signInBtn').addEventListener('click', () => {
+      this.showLoginModal(document.getElementById('syncServerProfile').value);
+    });
+    
+    document.getElementById('signOutBtn').addEventListener('click', () => {
+      this.logout();
+    });
+    
+    document.getElementById('loginBtn').addEventListener('click', () => {
+      this.login();
+    });
+    
+    document.getElementById('deleteServerProfileBtn').addEventListener('click', () => {
+      this.deleteServerProfile();
+    });
   }
   
   /**
@@ -234,6 +415,9 @@ class App {
       case 'analytics':
         this.loadAnalytics();
         break;
+      case 'trash':
+        this.loadTrash();
+        break;
       case 'settings':
         this.loadSettings();
         break;
@@ -269,6 +453,10 @@ class App {
         addNewBtn.style.display = 'none';
         searchInput.style.display = 'none';
         break;
+      case 'trash':
+        addNewBtn.style.display = 'none';
+        searchInput.style.display = 'none';
+        break;
       case 'settings':
         addNewBtn.style.display = 'none';
         searchInput.style.display = 'none';
@@ -442,6 +630,10 @@ class App {
         options.onlyUnsynced = true;
       }
       
+      if (this.filters.syncState !== 'all') {
+        options.syncState = this.filters.syncState;
+      }
+      
       // Get restaurants with filters
       const restaurants = await restaurantRepository.getRestaurants(options);
       
@@ -491,21 +683,7 @@ class App {
     
     // Create restaurant cards
     const html = restaurants.map(restaurant => {
-      // Determine source icon and color
-      let sourceIcon, sourceLabel, sourceClass;
-      if (restaurant.source === 'remote') {
-        sourceIcon = 'fa-cloud';
-        sourceLabel = 'Server';
-        sourceClass = 'remote';
-      } else if (restaurant.serverId) {
-        sourceIcon = 'fa-cloud-upload-alt';
-        sourceLabel = 'Synced';
-        sourceClass = 'synced';
-      } else {
-        sourceIcon = 'fa-laptop';
-        sourceLabel = 'Local';
-        sourceClass = 'local';
-      }
+      const syncBadgeHtml = this.renderSyncBadge(restaurant);
       
       // Format date
       const date = restaurant.timestamp ? new Date(restaurant.timestamp) : new Date();
@@ -544,9 +722,7 @@ class App {
                   ${moreConceptsHtml}
                 </div>
                 <div class="card-footer">
-                  <span class="source-indicator ${sourceClass}">
-                    <i class="fas ${sourceIcon}"></i> ${sourceLabel}
-                  </span>
+                  ${syncBadgeHtml}
                   <div class="card-actions">
                     <button class="btn-icon edit-restaurant" title="Edit Restaurant">
                       <i class="fas fa-edit"></i>
@@ -577,9 +753,7 @@ class App {
                 ${moreConceptsHtml}
               </div>
               <div class="card-footer">
-                <span class="source-indicator ${sourceClass}">
-                  <i class="fas ${sourceIcon}"></i> ${sourceLabel}
-                </span>
+                ${syncBadgeHtml}
                 <div class="card-actions">
                   <button class="btn-icon edit-restaurant" title="Edit Restaurant">
                     <i class="fas fa-edit"></i>
@@ -696,6 +870,13 @@ class App {
     document.getElementById('metaServerId').textContent = restaurant.serverId || 
       'Not synced';
       
+    const syncStateCell = document.getElementById('metaSyncState');
+    syncStateCell.innerHTML = this.renderSyncBadge(restaurant);
+    if (restaurant.syncState === 'error' && restaurant.syncError) {
+      syncStateCell.insertAdjacentHTML('beforeend', 
+        `<div class="sync-error-message">${this.escapeHtml(restaurant.syncError)}</div>`);
+    }
+      
     // Set view-only mode if needed
     if (viewOnly) {
       document.querySelectorAll('#restaurantDetailView input, #restaurantDetailView textarea, #restaurantDetailView select').forEach(el => {
@@ -710,6 +891,258 @@ class App {
       document.getElementById('deleteRestaurantBtn').style.display = 'inline-flex';
       document.getElementById('saveRestaurantBtn').innerHTML = '<i class="fas fa-save"></i> Save';
     }
+    
+    // Sync conflict picker stays usable in view-only mode
+    await this.renderConflictPanel(restaurant);
+    
+    await this.loadRevisions(restaurant, viewOnly);
+  }
+  
+  /**
+   * Show the revision history of the restaurant in the editor
+   * @param {Object} restaurant - Restaurant shown in the editor
+   * @param {boolean} viewOnly - Hide the revert buttons
+   */
+  async loadRevisions(restaurant, viewOnly = false) {
+    const container = document.getElementById('revisionList');
+    
+    if (!restaurant.id) {
+      container.innerHTML = `<div class="empty-message">Revisions are recorded once the restaurant is saved</div>`;
+      return;
+    }
+    
+    const revisions = await revisionRepository.getRevisions(restaurant.id);
+    
+    // The latest revision tells when and by whom the restaurant was last changed
+    const latest = revisions[0];
+    if (latest && latest.origin !== 'baseline') {
+      document.getElementById('metaUpdated').textContent = 
+        new Date(latest.createdAt).toLocaleString() + (latest.curatorName ? ` by ${latest.curatorName}` : '');
+    }
+    
+    if (revisions.length === 0) {
+      container.innerHTML = `<div class="empty-message">No revisions recorded</div>`;
+      return;
+    }
+    
+    container.innerHTML = revisions.map((revision, index) => {
+      const origin = App.REVISION_ORIGINS[revision.origin] || revision.origin;
+      const author = revision.curatorName ? ` by ${this.escapeHtml(revision.curatorName)}` : '';
+      const canRevert = !viewOnly && index > 0;
+      
+      return `
+        <div class="revision-entry">
+          <div class="revision-header">
+            <div>
+              <div>${this.escapeHtml(origin)}${author}</div>
+              <div class="revision-meta">${new Date(revision.createdAt).toLocaleString()}</div>
+            </div>
+            ${canRevert ? `
+              <button class="btn btn-subtle btn-sm" data-revision-id="${revision.id}" title="Restore this version">
+                <i class="fas fa-undo"></i>
+                Revert
+              </button>
+            ` : ''}
+          </div>
+          ${revision.changes.map(change => this.renderRevisionChange(change)).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Render one field change of a revision
+   * @param {Object} change - Change from RevisionRepository.diffStates
+   * @returns {string} HTML
+   */
+  renderRevisionChange(change) {
+    const label = App.REVISION_FIELDS[change.field] || change.field;
+    let detail;
+    
+    if (change.field === 'concepts') {
+      const format = concept => this.escapeHtml(`${concept.category}: ${concept.value}`);
+      detail = [
+        ...change.removed.map(concept => `<span class="revision-before">${format(concept)}</span>`),
+        ...change.added.map(concept => `<span class="revision-after">${format(concept)}</span>`)
+      ].join(', ');
+    } else if (change.field === 'photos') {
+      detail = [
+        change.removed > 0 ? `<span class="revision-before">${change.removed} removed</span>` : '',
+        change.added > 0 ? `<span class="revision-after">${change.added} added</span>` : ''
+      ].filter(Boolean).join(', ');
+    } else {
+      const format = value => {
+        if (change.field === 'location') {
+          value = value ? [`${value.latitude}, ${value.longitude}`, value.address].filter(Boolean).join(' - ') : '';
+        }
+        const text = value || '(empty)';
+        return this.escapeHtml(text.length > 200 ? `${text.slice(0, 200)}...` : text);
+      };
+      detail = `<span class="revision-before">${format(change.before)}</span> &rarr; ` +
+        `<span class="revision-after">${format(change.after)}</span>`;
+    }
+    
+    return `<div class="revision-change"><span class="revision-field">${label}:</span> ${detail}</div>`;
+  }
+  
+  /**
+   * Restore the restaurant in the editor to an earlier revision
+   * @param {number} revisionId - Revision ID
+   */
+  async revertToRevision(revisionId) {
+    try {
+      const { restaurantId, missingPhotos } = await restaurantRepository.revertToRevision(revisionId);
+      this.showSuccess('Restaurant reverted to the earlier version');
+      if (missingPhotos > 0) {
+        this.showInfo(`${missingPhotos} photos of that version are no longer available and were not restored.`);
+      }
+      
+      await this.editRestaurant(restaurantId);
+    } catch (error) {
+      console.error('App: Error reverting restaurant:', error);
+      this.showError(`Failed to revert restaurant: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Show the side-by-side conflict picker when the restaurant has an open sync conflict
+   * @param {Object} restaurant - Restaurant shown in the editor
+   */
+  async renderConflictPanel(restaurant) {
+    const panel = document.getElementById('conflictPanel');
+    this.activeConflict = restaurant.id ? 
+      await syncConflictRepository.getOpenConflictForRestaurant(restaurant.id) : null;
+    
+    if (!this.activeConflict) {
+      panel.classList.add('hidden');
+      return;
+    }
+    
+    const labels = {
+      name: 'Name',
+      description: 'Description',
+      transcription: 'Transcription',
+      concepts: 'Concepts',
+      location: 'Location'
+    };
+    
+    const rows = Object.keys(labels).map(field => {
+      const localText = this.formatConflictValue(field, this.activeConflict.local[field]);
+      const remoteText = this.formatConflictValue(field, this.activeConflict.remote[field]);
+      const same = localText === remoteText;
+      
+      return `
+        <div class="conflict-field-name">${labels[field]}</div>
+        <label class="conflict-option ${same ? 'same' : ''}">
+          <input type="radio" name="conflict-${field}" value="local" checked ${same ? 'disabled' : ''}>
+          <span>${this.escapeHtml(localText)}</span>
+        </label>
+        <label class="conflict-option ${same ? 'same' : ''}">
+          <input type="radio" name="conflict-${field}" value="remote" ${same ? 'disabled' : ''}>
+          <span>${this.escapeHtml(remoteText)}</span>
+        </label>
+      `;
+    }).join('');
+    
+    document.getElementById('conflictFields').innerHTML = `
+      <div></div>
+      <div class="conflict-column-header">This device</div>
+      <div class="conflict-column-header">Server</div>
+      ${rows}
+    `;
+    
+    panel.classList.remove('hidden');
+  }
+  
+  /**
+   * Render the sync state badge of a restaurant
+   * @param {Object} restaurant - Restaurant with syncState and syncError
+   * @returns {string} Badge HTML
+   */
+  renderSyncBadge(restaurant) {
+    const syncState = restaurantRepository.getSyncState(restaurant);
+    const badges = {
+      pending: { icon: 'fa-cloud-upload-alt', label: 'Pending upload' },
+      modified: { icon: 'fa-pen', label: 'Modified' },
+      conflict: { icon: 'fa-code-branch', label: 'Conflict' },
+      error: { icon: 'fa-exclamation-circle', label: 'Sync error' },
+      synced: { icon: 'fa-check-circle', label: 'In sync' }
+    };
+    const badge = badges[syncState] || badges.pending;
+    const title = syncState === 'error' && restaurant.syncError ? restaurant.syncError : badge.label;
+    
+    return `
+      <span class="sync-badge ${syncState}" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}">
+        <i class="fas ${badge.icon}"></i> ${badge.label}
+      </span>
+    `;
+  }
+  
+  /**
+   * Format a conflict field value for display
+   * @param {string} field - Field name
+   * @param {any} value - Snapshot value
+   * @returns {string} Display text
+   */
+  formatConflictValue(field, value) {
+    if (field === 'concepts') {
+      return value && value.length > 0 ? 
+        value.map(concept => `${concept.category}: ${concept.value}`).join('\n') : '(none)';
+    }
+    if (field === 'location') {
+      if (!value) return '(none)';
+      return `${value.latitude}, ${value.longitude}${value.address ? `\n${value.address}` : ''}`;
+    }
+    return value || '(empty)';
+  }
+  
+  /**
+   * Select the same side for every conflicting field
+   * @param {string} side - 'local' or 'remote'
+   */
+  selectAllConflictChoices(side) {
+    document.querySelectorAll(`#conflictFields input[value="${side}"]:not(:disabled)`).forEach(input => {
+      input.checked = true;
+    });
+  }
+  
+  /**
+   * Resolve the open conflict of the active restaurant with the selected choices
+   */
+  async resolveActiveConflict() {
+    if (!this.activeConflict || !this.activeRestaurant) return;
+    
+    try {
+      const choices = {};
+      document.querySelectorAll('#conflictFields input[type="radio"]:checked').forEach(input => {
+        choices[input.name.replace('conflict-', '')] = input.value;
+      });
+      
+      const result = await syncService.resolveConflict(this.activeConflict.id, choices);
+      
+      if (result.queued) {
+        this.showInfo('Conflict resolved. Your changes will be sent to the server.');
+        autoSyncService.drainOutbox();
+      } else {
+        this.showSuccess('Conflict resolved.');
+      }
+      
+      await this.editRestaurant(this.activeRestaurant.id);
+    } catch (error) {
+      console.error('App: Error resolving conflict:', error);
+      this.showError('Failed to resolve conflict. Please try again.');
+    }
+  }
+  
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === null || text === undefined ? '' : String(text);
+    return div.innerHTML;
   }
   
   /**
@@ -1041,19 +1474,22 @@ class App {
       await this.loadRestaurants();
     } catch (error) {
       console.error('App: Error saving restaurant:', error);
-      this.showError('Failed to save restaurant. Please try again.');
+      this.showError(databaseService.describeWriteError(error) || 'Failed to save restaurant. Please try again.');
     }
   }
   
   /**
    * Show delete confirmation dialog
    */
-  showDeleteConfirmation() {
+  async showDeleteConfirmation() {
     if (!this.activeRestaurant || !this.activeRestaurant.id) return;
     
     // Set restaurant name in modal
     document.getElementById('deleteItemName').textContent = 
       this.activeRestaurant.name || 'this restaurant';
+    document.getElementById('deleteItemNote').textContent = 
+      `It stays in the trash for ${await settingsService.getTrashRetentionDays()} days.`;
+    document.getElementById('confirmDeleteBtn').dataset.itemType = 'restaurant';
     
     // Show modal
     document.getElementById('modalOverlay').classList.remove('hidden');
@@ -1077,12 +1513,15 @@ class App {
       return;
     }
     
+    // Database resets, snapshot restores and trash deletes run from their own confirm listeners
+    if (itemType === 'database' || itemType === 'snapshot' || itemType === 'trash') return;
+    
     // Handle restaurant deletion (existing code)
     if (!this.activeRestaurant || !this.activeRestaurant.id) return;
     
     try {
       await restaurantRepository.deleteRestaurant(this.activeRestaurant.id);
-      this.showSuccess('Restaurant deleted successfully.');
+      this.showSuccess('Restaurant moved to the trash.');
       
       // Close modal and editor
       this.closeAllModals();
@@ -1107,6 +1546,9 @@ class App {
       modal.classList.add('hidden');
     });
     
+    // Only restaurant deletes can be undone
+    document.getElementById('deleteItemNote').textContent = 'This action cannot be undone.';
+    
     // Remove dynamic modals
     const dynamicModal = document.getElementById('curatorSelectorModal');
     if (dynamicModal) {
@@ -1117,6 +1559,147 @@ class App {
     modalOverlay.classList.add('hidden');
   }
   
+  /**
+   * Load the trash view
+   */
+  async loadTrash() {
+    try {
+      console.log('App: Loading trash');
+      
+      const container = document.getElementById('trashList');
+      const retentionDays = await settingsService.getTrashRetentionDays();
+      document.getElementById('trashRetentionHint').textContent = 
+        `Deleted restaurants are removed permanently after ${retentionDays} days.`;
+      
+      const restaurants = await restaurantRepository.getTrashedRestaurants();
+      document.getElementById('emptyTrashBtn').disabled = restaurants.length === 0;
+      
+      if (restaurants.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <i class="fas fa-trash-alt empty-icon"></i>
+            <h3>The trash is empty</h3>
+            <p>Deleted restaurants appear here until they are restored or removed.</p>
+          </div>
+        `;
+        return;
+      }
+      
+      container.innerHTML = restaurants.map(restaurant => {
+        const name = this.escapeHtml(restaurant.name || '(unnamed)');
+        return `
+          <div class="trash-item">
+            <div>
+              <div>${name}</div>
+              <div class="trash-details">
+                ${this.escapeHtml(restaurant.curatorName)} &middot; deleted ${new Date(restaurant.deletedAt).toLocaleString()}
+              </div>
+            </div>
+            <div class="trash-actions">
+              <button class="btn btn-secondary btn-sm" data-action="restore" data-restaurant-id="${restaurant.id}">
+                <i class="fas fa-undo"></i>
+                Restore
+              </button>
+              <button class="btn btn-danger btn-sm" data-action="delete" data-restaurant-id="${restaurant.id}" data-name="${name.replace(/"/g, '&quot;')}">
+                <i class="fas fa-times"></i>
+                Delete Permanently
+              </button>
+            </div>
+          </div>
+        `;
+      }).join('');
+    } catch (error) {
+      console.error('App: Error loading trash:', error);
+      this.showError('Failed to load the trash. Please try again.');
+    }
+  }
+  
+  /**
+   * Take a restaurant out of the trash
+   * @param {number} restaurantId - Restaurant ID
+   */
+  async restoreFromTrash(restaurantId) {
+    try {
+      await restaurantRepository.restoreRestaurant(restaurantId);
+      this.showSuccess('Restaurant restored');
+      await this.loadTrash();
+    } catch (error) {
+      console.error('App: Error restoring restaurant:', error);
+      this.showError(`Failed to restore restaurant: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Confirm permanently deleting one restaurant in the trash
+   * @param {number} restaurantId - Restaurant ID
+   * @param {string} name - Restaurant name
+   */
+  confirmDeleteFromTrash(restaurantId, name) {
+    this.confirmTrashDeletion(name, [restaurantId]);
+  }
+  
+  /**
+   * Confirm permanently deleting every restaurant in the trash
+   */
+  async confirmEmptyTrash() {
+    const restaurants = await restaurantRepository.getTrashedRestaurants();
+    if (restaurants.length === 0) return;
+    
+    this.confirmTrashDeletion(`${restaurants.length} restaurants in the trash`, restaurants.map(restaurant => restaurant.id));
+  }
+  
+  /**
+   * Ask before permanently deleting restaurants in the trash
+   * @param {string} label - What is being deleted, for the confirmation text
+   * @param {Array<number>} restaurantIds - Restaurant IDs
+   */
+  confirmTrashDeletion(label, restaurantIds) {
+    document.getElementById('deleteItemName').textContent = label;
+    
+    const confirmBtn = document.getElementById('confirmDeleteBtn');
+    confirmBtn.dataset.itemType = 'trash';
+    
+    document.getElementById('modalOverlay').classList.remove('hidden');
+    document.getElementById('confirmDeleteModal').classList.remove('hidden');
+    
+    this.setDeleteConfirmAction('trash', async () => {
+      try {
+        for (const restaurantId of restaurantIds) {
+          await restaurantRepository.deleteRestaurantPermanently(restaurantId);
+        }
+        this.showSuccess(restaurantIds.length === 1 ? 'Restaurant deleted permanently' : 'Trash emptied');
+        await this.loadTrash();
+      } catch (error) {
+        console.error('App: Error deleting restaurants from the trash:', error);
+        this.showError(`Failed to delete from the trash: ${error.message}`);
+      }
+    });
+  }
+  
+  /**
+   * Set the action run when the delete confirmation is accepted
+   * The action of an earlier confirmation that was cancelled is dropped, so it can't
+   * run along with this one.
+   * @param {string} itemType - Kind of item being deleted, as set on the confirm button
+   * @param {Function} action - Called once the user confirms
+   */
+  setDeleteConfirmAction(itemType, action) {
+    const confirmBtn = document.getElementById('confirmDeleteBtn');
+    
+    if (this.deleteConfirmAction) {
+      confirmBtn.removeEventListener('click', this.deleteConfirmAction);
+    }
+    
+    this.deleteConfirmAction = async () => {
+      this.deleteConfirmAction = null;
+      if (confirmBtn.dataset.itemType === itemType) {
+        await action();
+      }
+      this.closeAllModals();
+    };
+    confirmBtn.addEventListener('click', this.deleteConfirmAction, { once: true });
+  }
+  
   /**
    * Load curators for filter dropdown
    */
@@ -1169,11 +1752,18 @@ class App {
   
   /**
    * Update the sync status display
+   * @param {Object|null} progress - Progress event from SyncService; renders the progress bar while a sync runs
    */
-  async updateSyncStatus() {
+  async updateSyncStatus(progress = null) {
+    const isRunning = progress && !['done', 'cancelled'].includes(progress.phase);
+    this.renderSyncProgress(isRunning ? progress : null);
+    if (isRunning) return;
+    
     try {
       const lastSyncTime = await settingsService.getLastSyncTime();
+      const profile = await settingsService.getActiveServerProfile();
       const syncStatusEl = document.getElementById('syncStatus');
+      syncStatusEl.title = `Server: ${profile.name} (${profile.url})`;
       
       if (lastSyncTime) {
         const date = new Date(lastSyncTime);
@@ -1181,32 +1771,134 @@ class App {
       } else {
         syncStatusEl.textContent = 'Last sync: Never';
       }
+      
+      if (!autoSyncService.isOnline()) {
+        syncStatusEl.textContent += ' (offline, changes will upload when back online)';
+      }
+      
+      this.renderSyncHealth(await settingsService.getSyncHealth());
     } catch (error) {
       console.error('App: Error updating sync status:', error);
     }
   }
   
   /**
-   * Perform a manual sync
+   * Show whether automatic syncs are backing off or paused after failures
+   * @param {Object} health - Sync failure state from SettingsService
+   */
+  renderSyncHealth(health) {
+    const container = document.getElementById('syncHealth');
+    
+    if (health.consecutiveFailures === 0) {
+      container.classList.add('hidden');
+      return;
+    }
+    
+    const text = health.circuitOpen
+      ? `Sync paused after ${health.consecutiveFailures} failures`
+      : `Sync failing, retrying at ${new Date(health.nextAttemptAt).toLocaleTimeString()}`;
+    
+    document.getElementById('syncHealthText').textContent = text;
+    container.title = health.lastError || '';
+    container.classList.toggle('circuit-open', health.circuitOpen);
+    container.classList.remove('hidden');
+  }
+  
+  /**
+   * Clear the sync failure state and retry now
    */
-  async performManualSync() {
+  async resetSyncCircuit() {
     try {
-      const syncBtn = document.getElementById('syncNowBtn');
-      syncBtn.disabled = true;
-      syncBtn.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i> Syncing...';
+      await autoSyncService.resetCircuit();
+      await this.updateSyncStatus();
+    } catch (error) {
+      console.error('App: Error resetting sync:', error);
+      this.showError('Failed to reset sync. Please try again.');
+    }
+  }
+  
+  /**
+   * Render the sidebar progress bar of a running sync
+   * @param {Object|null} progress - Progress event, or null to hide the bar
+   */
+  renderSyncProgress(progress) {
+    const container = document.getElementById('syncProgress');
+    
+    if (!progress) {
+      container.classList.add('hidden');
+      return;
+    }
+    
+    const labels = {
+      fetch: 'Downloading changes',
+      curators: 'Importing curators',
+      import: 'Importing',
+      photos: 'Syncing photos',
+      removals: 'Applying removals',
+      queue: 'Preparing upload',
+      push: 'Uploading'
+    };
+    
+    let text = labels[progress.phase] || 'Syncing';
+    if (progress.total > 0) {
+      text += ` ${progress.processed + 1}/${progress.total}`;
+    }
+    if (progress.current) {
+      text += `: ${progress.current}`;
+    }
+    
+    // Phases without a known total show an empty bar
+    const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0;
+    
+    document.getElementById('syncProgressFill').style.width = `${percent}%`;
+    document.getElementById('syncProgressText').textContent = text;
+    container.classList.remove('hidden');
+  }
+  
+  /**
+   * Cancel the running sync
+   */
+  cancelSync() {
+    if (syncService.cancelSync()) {
+      document.getElementById('syncProgressText').textContent = 'Cancelling...';
+    }
+  }
+  
+  /**
+   * Perform a manual sync
+   * @param {Object} options - Options for AutoSyncService.performManualSync (e.g. exclusions from a preview)
+   */
+  async performManualSync(options = {}) {
+    try {
+      const syncBtn = document.getElementById('syncNowBtn');
+      syncBtn.disabled = true;
+      syncBtn.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i> Syncing...';
       
       // Show toast
       this.showInfo('Syncing with server...');
       
       // Perform sync
-      const results = await autoSyncService.performManualSync();
+      const results = await autoSyncService.performManualSync(options);
       
       // Update UI
       await this.updateSyncStatus();
       await this.loadRestaurants();
+      if (this.currentView === 'settings') {
+        await this.loadSyncHistory();
+      }
+      
+      if (results.cancelled) {
+        this.showInfo('Sync cancelled.');
+        return;
+      }
       
       // Show results
-      this.showSuccess(`Sync completed: ${results.importRestaurants.added} added, ${results.importRestaurants.updated} updated`);
+      this.showSuccess(`Sync completed: ${results.importRestaurants.added} added, ${results.importRestaurants.updated} updated, ${results.exportRestaurants.count} exported`);
+      
+      const removed = results.importRestaurants.removedRestaurants || [];
+      if (removed.length > 0) {
+        this.showInfo(`Removed on server: ${removed.map(item => item.name).join(', ')}`);
+      }
     } catch (error) {
       console.error('App: Error performing manual sync:', error);
       this.showError('Sync failed. Please try again.');
@@ -1369,6 +2061,24 @@ class App {
     }
   }
   
+  /**
+   * Show warning message toast
+   * @param {string} message - Message to show
+   */
+  showWarning(message) {
+    if (typeof Toastify !== 'undefined') {
+      Toastify({
+        text: message,
+        duration: 6000,
+        gravity: "top",
+        position: "right",
+        style: { background: "linear-gradient(to right, #f7971e, #ffd200)" }
+      }).showToast();
+    } else {
+      console.warn('Warning:', message);
+    }
+  }
+  
   /**
    * Show info message toast
    * @param {string} message - Message to show
@@ -1577,10 +2287,29 @@ class App {
       const syncSettings = await settingsService.getSyncSettings();
       document.getElementById('settingSyncInterval').value = syncSettings.syncIntervalMinutes;
       document.getElementById('settingSyncStartup').checked = syncSettings.syncOnStartup;
+      document.getElementById('settingSnapshotRetention').value = await settingsService.getSnapshotRetention();
+      document.getElementById('settingTrashRetention').value = await settingsService.getTrashRetentionDays();
+      
+      // Load server profiles
+      await this.loadServerProfiles();
+      
+      // Load selective sync rules
+      await this.loadSyncRules();
+      
+      // Load outbox state
+      await this.renderOutboxStatus();
       
       // Load sync history
-      const syncHistory = await settingsService.getSyncHistory();
-      this.renderSyncHistory(syncHistory);
+      await this.loadSyncHistory();
+      
+      // Load database version and migration log
+      await this.loadDatabaseInfo();
+      
+      // Load storage use
+      await this.loadStorageInfo();
+      
+      // Load safety snapshots
+      await this.loadSnapshots();
       
       // Set up save settings handler
       document.getElementById('saveSettingsBtn').addEventListener('click', () => {
@@ -1606,33 +2335,435 @@ class App {
     }
   }
   
+  /**
+   * Load server profiles into the settings form
+   * @param {string|null} selectedId - Profile to select (defaults to the active profile)
+   */
+  async loadServerProfiles(selectedId = null) {
+    try {
+      const profiles = await settingsService.getServerProfiles();
+      const activeProfile = await settingsService.getActiveServerProfile();
+      const select = document.getElementById('syncServerProfile');
+      
+      select.innerHTML = profiles.map(profile => `
+        <option value="${profile.id}">${this.escapeHtml(profile.name)}${profile.id === activeProfile.id ? ' (active)' : ''}</option>
+      `).join('');
+      
+      select.value = selectedId && profiles.some(p => p.id === selectedId) ? selectedId : activeProfile.id;
+      this.serverProfiles = profiles;
+      this.showServerProfile(select.value);
+    } catch (error) {
+      console.error('App: Error loading server profiles:', error);
+      this.showError('Failed to load server profiles.');
+    }
+  }
+  
+  /**
+   * Fill the sync rule selectors with the local curators and concepts
+   */
+  async loadSyncRules() {
+    try {
+      const rules = await settingsService.getSyncRules();
+      const curators = await curatorRepository.getAllCurators();
+      
+      document.getElementById('syncRuleCurators').innerHTML = curators.map(curator => `
+        <option value="${curator.id}" ${rules.curatorIds.includes(curator.id) ? 'selected' : ''}>${this.escapeHtml(curator.name)}</option>
+      `).join('');
+      
+      // Concepts in the rules stay selectable even when no restaurant uses them anymore
+      const valuesByCategory = new Map();
+      for (const category of await restaurantRepository.getAllConceptCategories()) {
+        valuesByCategory.set(category, new Set(await restaurantRepository.getConceptValuesByCategory(category)));
+      }
+      rules.concepts.forEach(({ category, value }) => {
+        if (!valuesByCategory.has(category)) valuesByCategory.set(category, new Set());
+        valuesByCategory.get(category).add(value);
+      });
+      
+      this.syncRuleConcepts = [];
+      document.getElementById('syncRuleConcepts').innerHTML = Array.from(valuesByCategory.entries()).map(([category, values]) => `
+        <optgroup label="${this.escapeHtml(category).replace(/"/g, '&quot;')}">
+          ${Array.from(values).sort().map(value => {
+            const index = this.syncRuleConcepts.push({ category, value }) - 1;
+            const selected = rules.concepts.some(concept => concept.category === category && concept.value === value);
+            return `<option value="${index}" ${selected ? 'selected' : ''}>${this.escapeHtml(value)}</option>`;
+          }).join('')}
+        </optgroup>
+      `).join('');
+    } catch (error) {
+      console.error('App: Error loading sync rules:', error);
+      this.showError('Failed to load sync rules.');
+    }
+  }
+  
+  /**
+   * Read the sync rules selected in the settings form
+   * @returns {Object} { curatorIds, concepts } for SettingsService.updateSyncRules
+   */
+  readSyncRules() {
+    const selectedValues = id => Array.from(document.getElementById(id).selectedOptions)
+      .map(option => parseInt(option.value));
+    
+    return {
+      curatorIds: selectedValues('syncRuleCurators'),
+      concepts: selectedValues('syncRuleConcepts').map(index => this.syncRuleConcepts[index])
+    };
+  }
+  
+  /**
+   * Show a server profile in the settings form
+   * @param {string} profileId - Profile ID, or empty for a new profile
+   */
+  showServerProfile(profileId) {
+    const profile = (this.serverProfiles || []).find(p => p.id === profileId);
+    document.getElementById('syncServerName').value = profile ? profile.name : '';
+    document.getElementById('syncServerUrl').value = profile ? profile.url : '';
+    this.renderAuthStatus(profile);
+  }
+  
+  /**
+   * Reload the current view after another tab synced
+   * @param {Object} message - 'sync-completed' or 'outbox-drained' message
+   */
+  async refreshAfterRemoteSync(message) {
+    try {
+      await this.updateSyncStatus();
+      
+      switch (this.currentView) {
+        case 'restaurants':
+          await this.loadRestaurants();
+          break;
+        case 'curators':
+          await this.loadCurators();
+          break;
+        case 'trash':
+          await this.loadTrash();
+          break;
+        case 'settings':
+          await this.renderOutboxStatus();
+          await this.loadSyncHistory();
+          break;
+      }
+      
+      if (message.type === 'sync-completed' && message.success && 
+          message.added + message.updated + message.removed > 0) {
+        this.showInfo(`Synced in another tab: ${message.added} added, ${message.updated} updated, ${message.removed} removed`);
+      }
+    } catch (error) {
+      console.error('App: Error refreshing after sync in another tab:', error);
+    }
+  }
+  
+  /**
+   * Show whether the user is signed in to a server profile
+   * @param {Object|undefined} profile - Server profile, undefined for a new profile
+   */
+  renderAuthStatus(profile) {
+    const signedIn = Boolean(profile && profile.auth);
+    
+    document.getElementById('authStatus').textContent = signedIn
+      ? `Signed in as ${profile.auth.username}`
+      : 'Not signed in';
+    document.getElementById('signInBtn').classList.toggle('hidden', signedIn);
+    document.getElementById('signInBtn').disabled = !profile;
+    document.getElementById('signOutBtn').classList.toggle('hidden', !signedIn);
+  }
+  
+  /**
+   * Show the sign-in dialog for a server profile
+   * @param {string} profileId - Server profile ID
+   */
+  async showLoginModal(profileId) {
+    const profile = await settingsService.getServerProfile(profileId);
+    if (!profile) {
+      this.showError('Save the server profile before signing in.');
+      return;
+    }
+    
+    this.loginProfileId = profile.id;
+    document.getElementById('loginServerName').textContent = profile.name;
+    document.getElementById('loginUsername').value = profile.auth ? profile.auth.username : '';
+    document.getElementById('loginPassword').value = '';
+    
+    document.getElementById('modalOverlay').classList.remove('hidden');
+    document.getElementById('loginModal').classList.remove('hidden');
+    document.getElementById('loginUsername').focus();
+  }
+  
+  /**
+   * Sign in with the credentials entered in the sign-in dialog
+   */
+  async login() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    
+    if (!username || !password) {
+      this.showError('Please enter your username and password.');
+      return;
+    }
+    
+    const loginBtn = document.getElementById('loginBtn');
+    
+    try {
+      loginBtn.disabled = true;
+      await syncService.login(this.loginProfileId, username, password);
+      
+      document.getElementById('loginPassword').value = '';
+      this.closeAllModals();
+      this.showSuccess('Signed in successfully.');
+      
+      if (this.currentView === 'settings') {
+        await this.loadServerProfiles(this.loginProfileId);
+      }
+      
+      // Send the changes that waited for the sign-in
+      await autoSyncService.drainOutbox({ includeDelayed: true });
+    } catch (error) {
+      console.error('App: Error signing in:', error);
+      this.showError(`Sign-in failed: ${error.message}`);
+    } finally {
+      loginBtn.disabled = false;
+    }
+  }
+  
+  /**
+   * Sign out of the server profile selected in the settings form
+   */
+  async logout() {
+    const profileId = document.getElementById('syncServerProfile').value;
+    
+    try {
+      await syncService.logout(profileId);
+      await this.loadServerProfiles(profileId);
+      this.showSuccess('Signed out.');
+    } catch (error) {
+      console.error('App: Error signing out:', error);
+      this.showError('Failed to sign out. Please try again.');
+    }
+  }
+  
+  /**
+   * Prepare the settings form for a new server profile
+   */
+  startNewServerProfile() {
+    const select = document.getElementById('syncServerProfile');
+    
+    let newOption = select.querySelector('option[value=""]');
+    if (!newOption) {
+      newOption = document.createElement('option');
+      newOption.value = '';
+      newOption.textContent = 'New profile';
+      select.appendChild(newOption);
+    }
+    
+    select.value = '';
+    this.showServerProfile('');
+    document.getElementById('syncServerName').focus();
+  }
+  
+  /**
+   * Delete the server profile selected in the settings form
+   */
+  async deleteServerProfile() {
+    const profileId = document.getElementById('syncServerProfile').value;
+    
+    try {
+      if (profileId) {
+        await syncService.deleteServerProfile(profileId);
+        this.showSuccess('Server profile deleted');
+      }
+      await this.loadServerProfiles();
+      await this.renderOutboxStatus();
+    } catch (error) {
+      console.error('App: Error deleting server profile:', error);
+      this.showError(error.message);
+    }
+  }
+  
+  /**
+   * Save the server profile form and activate the selected profile
+   * @returns {Promise<boolean>} Whether the active profile changed
+   */
+  async saveServerProfile() {
+    const profileId = document.getElementById('syncServerProfile').value;
+    const name = document.getElementById('syncServerName').value;
+    const url = document.getElementById('syncServerUrl').value;
+    
+    const saved = await syncService.saveServerProfile({ id: profileId || undefined, name, url });
+    const activeProfile = await settingsService.getActiveServerProfile();
+    
+    let switched = false;
+    if (saved.id !== activeProfile.id) {
+      await syncService.switchServerProfile(saved.id);
+      switched = true;
+    }
+    
+    await this.loadServerProfiles(saved.id);
+    return switched;
+  }
+
+  /**
+   * Show how many local changes are waiting to be sent to the server
+   */
+  async renderOutboxStatus() {
+    const counts = await syncOutboxRepository.getCounts();
+    const statusEl = document.getElementById('outboxStatus');
+    const retryBtn = document.getElementById('retryOutboxBtn');
+    
+    if (counts.pending === 0 && counts.dead === 0) {
+      statusEl.textContent = 'No pending changes';
+    } else {
+      const failed = counts.dead > 0 ? `, <span class="has-failures">${counts.dead} failed</span>` : '';
+      statusEl.innerHTML = `${counts.pending} pending${failed}`;
+    }
+    
+    retryBtn.classList.toggle('hidden', counts.dead === 0);
+  }
+
+  /**
+   * Requeue changes that exhausted their retries and try to send them now
+   */
+  async retryFailedOutbox() {
+    try {
+      await syncOutboxRepository.retryDeadEntries();
+      const results = await autoSyncService.drainOutbox({ includeDelayed: true });
+      
+      if (results.failed > 0) {
+        this.showError(`${results.failed} changes could not be sent: ${results.error || 'server error'}`);
+      } else {
+        this.showSuccess(`${results.count} changes sent to the server`);
+      }
+      
+      await this.renderOutboxStatus();
+    } catch (error) {
+      console.error('App: Error retrying outbox:', error);
+      this.showError('Failed to retry pending changes. Please try again.');
+    }
+  }
+
+  /**
+   * Run a sync in dry-run mode and show what it would change
+   */
+  async previewSync() {
+    const previewBtn = document.getElementById('previewSyncBtn');
+    
+    try {
+      previewBtn.disabled = true;
+      this.syncPreview = await autoSyncService.previewSync();
+      
+      if (this.syncPreview.cancelled) {
+        this.showInfo('Sync preview cancelled.');
+        return;
+      }
+      
+      this.renderSyncPreview(this.syncPreview);
+      document.getElementById('modalOverlay').classList.remove('hidden');
+      document.getElementById('syncPreviewModal').classList.remove('hidden');
+    } catch (error) {
+      console.error('App: Error previewing sync:', error);
+      this.showError(`Failed to preview sync: ${error.message}`);
+    } finally {
+      previewBtn.disabled = false;
+    }
+  }
+  
+  /**
+   * Render the items of a sync preview with a checkbox for each change
+   * @param {Object} preview - Results of AutoSyncService.previewSync
+   */
+  renderSyncPreview(preview) {
+    const importResults = preview.importRestaurants;
+    const importPlan = importResults.plan || [];
+    const exportPlan = preview.exportRestaurants.plan || [];
+    
+    if (importResults.error) {
+      document.getElementById('syncPreviewSummary').textContent = `Server changes could not be loaded: ${importResults.error}`;
+    } else {
+      document.getElementById('syncPreviewSummary').textContent = 
+        `From server: ${importResults.added} new, ${importResults.updated} updated, ` +
+        `${importResults.conflicts} conflicts, ${importResults.removed + importResults.detached} removed. ` +
+        `To server: ${preview.exportRestaurants.count} changes. Uncheck items to leave them out of the sync.`;
+    }
+    
+    const renderItems = items => items.map(item => {
+      // Skipped and failed items have nothing to approve
+      const isActionable = item.key && !['skip', 'error'].includes(item.action);
+      
+      return `
+        <label class="sync-preview-item ${isActionable ? '' : 'passive'}">
+          <input type="checkbox" data-key="${this.escapeHtml(item.key || '')}" ${isActionable ? 'checked' : 'disabled'}>
+          <span class="sync-preview-action ${item.action}">${item.action}</span>
+          <span>
+            ${this.escapeHtml(item.name)}
+            <span class="sync-preview-reason">${this.escapeHtml(item.reason)}</span>
+          </span>
+        </label>
+      `;
+    }).join('');
+    
+    const sections = [
+      { title: 'From server', items: importPlan },
+      { title: 'To server', items: exportPlan }
+    ];
+    
+    document.getElementById('syncPreviewList').innerHTML = sections.map(section => `
+      <h4>${section.title}</h4>
+      ${section.items.length > 0 ? renderItems(section.items) : '<div class="empty-message">No changes</div>'}
+    `).join('');
+  }
+  
+  /**
+   * Run the previewed sync, leaving out the items the user unchecked
+   */
+  async runPreviewedSync() {
+    if (!this.syncPreview) return;
+    
+    const exclude = new Set();
+    document.querySelectorAll('#syncPreviewList input[type="checkbox"]:not(:disabled)').forEach(input => {
+      if (!input.checked) {
+        exclude.add(input.dataset.key);
+      }
+    });
+    
+    this.syncPreview = null;
+    this.closeAllModals();
+    await this.performManualSync({ exclude });
+  }
+  
+  /**
+   * Load the recent sync runs into the settings view
+   */
+  async loadSyncHistory() {
+    const runs = await syncRunRepository.getRecentRuns();
+    this.renderSyncHistory(runs);
+  }
+  
   /**
    * Render sync history in settings view
-   * @param {Array} history - Array of sync history entries
+   * @param {Array} runs - Sync runs from SyncRunRepository, newest first
    */
-  renderSyncHistory(history) {
+  renderSyncHistory(runs) {
     const container = document.getElementById('syncHistoryList');
     
-    if (!history || history.length === 0) {
+    if (!runs || runs.length === 0) {
       container.innerHTML = `<div class="empty-message">No sync history available</div>`;
       return;
     }
     
-    const html = history.map(entry => {
-      const date = new Date(entry.timestamp);
-      const formattedDate = date.toLocaleString();
-      const iconClass = entry.status === 'success' ? 'success' : 'error';
+    const html = runs.map(run => {
+      const formattedDate = new Date(run.startedAt).toLocaleString();
+      const status = App.SYNC_RUN_STATUS[run.status] || App.SYNC_RUN_STATUS.error;
       
       return `
-        <div class="history-item">
-          <span class="history-icon ${iconClass}">
-            <i class="fas ${entry.status === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}"></i>
+        <div class="history-item" data-run-id="${run.id}" title="Show details">
+          <span class="history-icon ${run.status}">
+            <i class="fas ${status.icon}"></i>
           </span>
           <div class="history-details">
-            <span class="history-title">${entry.status === 'success' ? 'Sync completed' : 'Sync failed'}</span>
-            <span class="history-time">${formattedDate}</span>
+            <span class="history-title">${status.title}</span>
+            <span class="history-time">${formattedDate} · ${this.formatSyncTrigger(run.trigger)} · ${this.escapeHtml(run.serverProfileName || '')}</span>
           </div>
-          <span class="history-meta">${entry.message}</span>
+          <span class="history-meta">${this.escapeHtml(this.formatSyncRunSummary(run))}</span>
         </div>
       `;
     }).join('');
@@ -1640,6 +2771,113 @@ class App {
     container.innerHTML = html;
   }
   
+  /**
+   * Describe what started a sync run
+   * @param {string} trigger - Run trigger
+   * @returns {string} Display text
+   */
+  formatSyncTrigger(trigger) {
+    const labels = {
+      manual: 'Manual',
+      interval: 'Scheduled',
+      startup: 'Startup',
+      online: 'Back online',
+      visible: 'Tab reopened',
+      leader: 'Tab took over',
+      push: 'Local save',
+      retry: 'Retry'
+    };
+    return labels[trigger] || trigger;
+  }
+  
+  /**
+   * Summarize the counts of a sync run, or its error
+   * @param {Object} run - Sync run
+   * @returns {string} Display text
+   */
+  formatSyncRunSummary(run) {
+    if (run.status === 'error' && run.error) {
+      return run.error;
+    }
+    
+    const summary = run.summary || {};
+    const parts = [
+      `${summary.added || 0} added`,
+      `${summary.updated || 0} updated`,
+      `${summary.removed || 0} removed`,
+      `${summary.exported || 0} exported`
+    ];
+    if (summary.conflicts > 0) parts.push(`${summary.conflicts} conflicts`);
+    if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+    return parts.join(', ');
+  }
+  
+  /**
+   * Show the details of a past sync run
+   * @param {number} runId - Sync run ID
+   */
+  async showSyncRun(runId) {
+    try {
+      const run = await syncRunRepository.getRun(runId);
+      if (!run) {
+        this.showError('This sync run is no longer in the log.');
+        return;
+      }
+      
+      this.activeSyncRun = run;
+      document.getElementById('syncRunProblemsOnly').checked = false;
+      this.renderSyncRun(run);
+      document.getElementById('modalOverlay').classList.remove('hidden');
+      document.getElementById('syncRunModal').classList.remove('hidden');
+    } catch (error) {
+      console.error('App: Error showing sync run:', error);
+      this.showError('Failed to load the sync run.');
+    }
+  }
+  
+  /**
+   * Render a sync run with the outcome for every restaurant it touched
+   * @param {Object} run - Sync run with outcomes
+   */
+  renderSyncRun(run) {
+    const status = App.SYNC_RUN_STATUS[run.status] || App.SYNC_RUN_STATUS.error;
+    const seconds = ((run.durationMs || 0) / 1000).toFixed(1);
+    
+    document.getElementById('syncRunDetails').innerHTML = `
+      <tr><th>Status</th><td>${status.title}${run.error ? `: ${this.escapeHtml(run.error)}` : ''}</td></tr>
+      <tr><th>Trigger</th><td>${this.formatSyncTrigger(run.trigger)}</td></tr>
+      <tr><th>Server</th><td>${this.escapeHtml(run.serverProfileName || run.serverProfileId || '-')}</td></tr>
+      <tr><th>Started</th><td>${new Date(run.startedAt).toLocaleString()}</td></tr>
+      <tr><th>Ended</th><td>${new Date(run.endedAt).toLocaleString()} (${seconds} s)</td></tr>
+      <tr><th>Result</th><td>${this.escapeHtml(this.formatSyncRunSummary({ ...run, status: 'success' }))}</td></tr>
+    `;
+    
+    // Full imports list every server restaurant; narrow them down to what went wrong
+    const problemsOnly = document.getElementById('syncRunProblemsOnly').checked;
+    const outcomes = (run.outcomes || []).filter(outcome => 
+      !problemsOnly || ['error', 'conflict'].includes(outcome.action));
+    
+    const renderOutcomes = items => items.map(outcome => `
+      <div class="sync-run-outcome">
+        <span class="sync-preview-action ${outcome.action}">${outcome.action}</span>
+        <span>
+          ${this.escapeHtml(outcome.name)}
+          <span class="sync-preview-reason">${this.escapeHtml(outcome.reason)}${outcome.serverId ? ` · Server ID ${this.escapeHtml(outcome.serverId)}` : ''}</span>
+        </span>
+      </div>
+    `).join('');
+    
+    const sections = [
+      { title: 'From server', items: outcomes.filter(outcome => outcome.direction === 'import') },
+      { title: 'To server', items: outcomes.filter(outcome => outcome.direction === 'export') }
+    ];
+    
+    document.getElementById('syncRunOutcomes').innerHTML = sections.map(section => `
+      <h4>${section.title}</h4>
+      ${section.items.length > 0 ? renderOutcomes(section.items) : '<div class="empty-message">No restaurants</div>'}
+    `).join('');
+  }
+  
   /**
    * Save settings
    */
@@ -1656,10 +2894,29 @@ class App {
       // Update auto sync interval
       await autoSyncService.updateSyncInterval(syncInterval);
       
+      await settingsService.updateSnapshotRetention(
+        parseInt(document.getElementById('settingSnapshotRetention').value) || 5
+      );
+      await settingsService.updateTrashRetentionDays(
+        parseInt(document.getElementById('settingTrashRetention').value) || 30
+      );
+      
+      const rulesChanged = await settingsService.updateSyncRules(this.readSyncRules());
+      
+      // Save server profile and switch to it if needed
+      const switchedServer = await this.saveServerProfile();
+      if (switchedServer) {
+        await this.updateSyncStatus();
+        await this.loadRestaurants();
+      }
+      
       this.showSuccess('Settings saved successfully');
+      if (rulesChanged) {
+        this.showInfo('Sync rules changed. The next sync checks every restaurant on the server again.');
+      }
     } catch (error) {
       console.error('App: Error saving settings:', error);
-      this.showError('Failed to save settings. Please try again.');
+      this.showError(`Failed to save settings: ${error.message}`);
     }
   }
   
@@ -1677,6 +2934,200 @@ class App {
     this.showInfo('Import functionality will be implemented in a future update.');
   }
   
+  /**
+   * Show why the database could not be opened, with reload and reset options
+   * @param {Error} error - Opening error from DatabaseService
+   */
+  showDatabaseError(error) {
+    console.error('App: Database unavailable:', error);
+    document.getElementById('databaseErrorMessage').textContent = 
+      error.userMessage || databaseService.describeOpenError(error);
+    
+    document.getElementById('databaseErrorReloadBtn').onclick = () => window.location.reload();
+    document.getElementById('databaseErrorResetBtn').onclick = () => {
+      this.closeAllModals();
+      this.confirmResetDatabase();
+    };
+    
+    document.getElementById('modalOverlay').classList.remove('hidden');
+    document.getElementById('databaseErrorModal').classList.remove('hidden');
+  }
+  
+  /**
+   * Show the schema version and the migration log
+   */
+  async loadDatabaseInfo() {
+    document.getElementById('dbVersion').textContent = databaseService.getSchemaVersion();
+    
+    const entries = await databaseService.getMigrationLog();
+    const container = document.getElementById('migrationLog');
+    
+    if (entries.length === 0) {
+      container.innerHTML = `<div class="empty-message">No migrations recorded</div>`;
+      return;
+    }
+    
+    container.innerHTML = entries.map(entry => `
+      <div class="migration-log-entry ${entry.type}">
+        <span>v${entry.version}</span>
+        <span>${this.escapeHtml(entry.description)}</span>
+        <span class="migration-time">${new Date(entry.appliedAt).toLocaleString()}</span>
+      </div>
+    `).join('');
+  }
+  
+  /**
+   * Show storage use against the browser quota, per table
+   */
+  async loadStorageInfo() {
+    const estimate = await databaseService.getStorageEstimate();
+    const persistButton = document.getElementById('persistStorageBtn');
+    
+    if (estimate) {
+      document.getElementById('dbSize').textContent = estimate.quota
+        ? `${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} (${Math.round(estimate.ratio * 100)}%)`
+        : this.formatBytes(estimate.usage);
+      document.getElementById('dbPersisted').textContent = estimate.persisted ? 'Yes' : 'No';
+      persistButton.classList.toggle('hidden', estimate.persisted);
+      document.getElementById('storageWarning').classList.toggle('hidden', !estimate.nearQuota);
+    } else {
+      document.getElementById('dbSize').textContent = 'Not reported by this browser';
+      document.getElementById('dbPersisted').textContent = 'Not supported';
+      persistButton.classList.add('hidden');
+    }
+    
+    const container = document.getElementById('storageBreakdown');
+    try {
+      const tables = await databaseService.getTableSizes();
+      container.innerHTML = tables.map(table => `
+        <div class="storage-breakdown-entry">
+          <span>${App.STORAGE_TABLE_LABELS[table.name] || table.name}</span>
+          <span class="storage-count">${table.count} rows</span>
+          <span>${this.formatBytes(table.size)}</span>
+        </div>
+      `).join('');
+    } catch (error) {
+      console.error('App: Error measuring tables:', error);
+      container.innerHTML = `<div class="empty-message">Could not measure the tables</div>`;
+    }
+  }
+  
+  /**
+   * Format a size in bytes for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size with unit
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes || 0;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+  
+  /**
+   * Show the stored safety snapshots
+   */
+  async loadSnapshots() {
+    const snapshots = await snapshotService.getSnapshots();
+    const container = document.getElementById('snapshotList');
+    
+    if (snapshots.length === 0) {
+      container.innerHTML = `<div class="empty-message">No snapshots saved</div>`;
+      return;
+    }
+    
+    container.innerHTML = snapshots.map(snapshot => {
+      const counts = snapshot.counts || {};
+      const reason = App.SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason;
+      
+      return `
+        <div class="snapshot-entry">
+          <div>
+            <div>${new Date(snapshot.createdAt).toLocaleString()} &middot; ${this.escapeHtml(reason)}</div>
+            <div class="snapshot-details">
+              ${counts.restaurants || 0} restaurants, ${counts.restaurantPhotos || 0} photos, ${this.formatBytes(snapshot.size)}, schema v${snapshot.schemaVersion}
+            </div>
+          </div>
+          <div class="snapshot-actions">
+            <button class="btn btn-secondary btn-sm" data-action="download" data-snapshot-id="${snapshot.id}" title="Download">
+              <i class="fas fa-download"></i>
+            </button>
+            <button class="btn btn-secondary btn-sm" data-action="restore" data-snapshot-id="${snapshot.id}" title="Restore">
+              <i class="fas fa-undo"></i>
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Save a snapshot on request
+   */
+  async createSnapshot() {
+    try {
+      await snapshotService.createSnapshot('manual');
+      await this.loadSnapshots();
+      this.showSuccess('Snapshot saved');
+    } catch (error) {
+      console.error('App: Error creating snapshot:', error);
+      this.showError(`Failed to save snapshot: ${error.userMessage || error.message}`);
+    }
+  }
+  
+  /**
+   * Download a snapshot as a JSON file
+   * @param {number} snapshotId - Snapshot ID
+   */
+  async downloadSnapshot(snapshotId) {
+    try {
+      const blob = await snapshotService.exportSnapshot(snapshotId);
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `restaurant-curator-snapshot-${snapshotId}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('App: Error downloading snapshot:', error);
+      this.showError(`Failed to download snapshot: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Confirm replacing the database with a snapshot
+   * @param {number} snapshotId - Snapshot ID
+   */
+  confirmRestoreSnapshot(snapshotId) {
+    document.getElementById('deleteItemName').textContent = 'the current database and restore the snapshot';
+    
+    const confirmBtn = document.getElementById('confirmDeleteBtn');
+    confirmBtn.dataset.itemType = 'snapshot';
+    
+    document.getElementById('modalOverlay').classList.remove('hidden');
+    document.getElementById('confirmDeleteModal').classList.remove('hidden');
+    
+    this.setDeleteConfirmAction('snapshot', async () => {
+      try {
+        await snapshotService.restoreSnapshot(snapshotId);
+        this.showSuccess('Snapshot restored');
+        
+        setTimeout(() => window.location.reload(), 2000);
+      } catch (error) {
+        console.error('App: Error restoring snapshot:', error);
+        this.showError(`Failed to restore snapshot: ${error.userMessage || error.message}`);
+      }
+    });
+  }
+  
   /**
    * Confirm database reset
    */
@@ -1692,26 +3143,75 @@ class App {
     document.getElementById('modalOverlay').classList.remove('hidden');
     document.getElementById('confirmDeleteModal').classList.remove('hidden');
     
-    // Add one-time event listener for database reset
-    confirmBtn.addEventListener('click', async () => {
-      if (confirmBtn.dataset.itemType === 'database') {
-        try {
-          await databaseService.resetDatabase();
-          this.showSuccess('Database has been reset successfully');
-          
-          // Reload the page after a brief delay
-          setTimeout(() => window.location.reload(), 2000);
-        } catch (error) {
-          console.error('App: Error resetting database:', error);
-          this.showError('Failed to reset database. Please try again.');
-        }
+    // Reset once the user confirms
+    this.setDeleteConfirmAction('database', async () => {
+      try {
+        await databaseService.resetDatabase();
+        this.showSuccess('Database has been reset successfully');
+        
+        // Reload the page after a brief delay
+        setTimeout(() => window.location.reload(), 2000);
+      } catch (error) {
+        console.error('App: Error resetting database:', error);
+        this.showError(`The database was not reset: ${error.userMessage || error.message}`);
       }
-      
-      this.closeAllModals();
-    }, { once: true });
+    });
   }
 }
 
+// Icon and title shown for each sync run status
+App.SYNC_RUN_STATUS = {
+  success: { icon: 'fa-check-circle', title: 'Sync completed' },
+  partial: { icon: 'fa-exclamation-triangle', title: 'Sync completed with errors' },
+  error: { icon: 'fa-exclamation-circle', title: 'Sync failed' },
+  cancelled: { icon: 'fa-ban', title: 'Sync cancelled' }
+};
+
+// Labels for the tables in the storage breakdown
+App.STORAGE_TABLE_LABELS = {
+  restaurants: 'Restaurants',
+  restaurantPhotos: 'Photos',
+  restaurantRevisions: 'Revision history',
+  restaurantConcepts: 'Restaurant concepts',
+  restaurantLocations: 'Locations',
+  concepts: 'Concepts',
+  curators: 'Curators',
+  settings: 'Settings',
+  syncConflicts: 'Sync conflicts',
+  syncOutbox: 'Sync outbox',
+  restaurantTombstones: 'Deletion tombstones',
+  syncRuns: 'Sync run log',
+  schemaMigrations: 'Migration log'
+};
+
+// Labels for what produced a restaurant revision
+App.REVISION_ORIGINS = {
+  baseline: 'State before history was recorded',
+  create: 'Created',
+  edit: 'Edited',
+  sync: 'Updated by sync',
+  revert: 'Reverted'
+};
+
+// Labels for the fields compared in revision diffs
+App.REVISION_FIELDS = {
+  name: 'Name',
+  description: 'Description',
+  transcription: 'Transcription',
+  curator: 'Curator',
+  location: 'Location',
+  concepts: 'Concepts',
+  photos: 'Photos'
+};
+
+// Labels for the operation a safety snapshot was saved before
+App.SNAPSHOT_REASONS = {
+  reset: 'Before reset',
+  restore: 'Before restore',
+  import: 'Before full import',
+  manual: 'Manual'
+};
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   window.app = new App();
@@ -1,20 +1,44 @@
 /**
  * Handles automatic synchronization of data based on schedule
- * Manages sync intervals and performs periodic sync operations
+ * Manages sync intervals, performs periodic sync operations and drains the outbox
+ * of local changes with per-entry retry backoff. Besides the interval, syncs are
+ * triggered by coming back online, by returning to a tab hidden for a long time and
+ * shortly after local saves; nothing is attempted while offline. Consecutive failures
+ * widen the time between automatic syncs, and after too many the circuit opens and
+ * automatic syncs stop until a sync succeeds or the user resets it. Progress and cancellation go through
+ * the sync run of SyncService. Only the tab elected by SyncLeaderService runs
+ * scheduled work, and finished syncs are announced to the other tabs. Every run that
+ * syncs or pushes something is recorded in the sync run log
  * 
  * @module AutoSyncService
- * @depends SyncService, SettingsService
+ * @depends SyncService, SettingsService, SyncLeaderService, RestaurantRepository, SyncOutboxRepository, SyncConflictRepository, SyncRunRepository
  */
 
 import syncService from './SyncService.js';
 import settingsService from './SettingsService.js';
+import syncLeaderService from './SyncLeaderService.js';
+import restaurantRepository from '../repositories/RestaurantRepository.js';
+import syncOutboxRepository from '../repositories/SyncOutboxRepository.js';
+import syncConflictRepository from '../repositories/SyncConflictRepository.js';
+import syncRunRepository from '../repositories/SyncRunRepository.js';
 
 class AutoSyncService {
   constructor() {
     this.syncIntervalId = null;
+    this.outboxIntervalId = null;
     this.isInitialized = false;
+    this.isStartupComplete = false;
     this.isPerformingSync = false;
+    this.isDrainingOutbox = false;
+    this.pushTimeoutId = null;
+    this.hiddenSince = null;
     this.defaultSyncInterval = 30; // minutes
+    this.outboxCheckInterval = 60; // seconds
+    this.pushDelay = 5; // seconds after the last local save
+    this.reconnectDelay = 3; // seconds after coming back online
+    this.hiddenSyncThreshold = 10; // minutes hidden before a tab syncs when shown again
+    this.failureThreshold = 5; // consecutive failed syncs before the circuit opens
+    this.maxBackoffMinutes = 240;
     
     console.log('AutoSyncService: Created instance');
   }
@@ -36,14 +60,40 @@ class AutoSyncService {
       // Setup interval with settings
       await this.setupSyncInterval(syncSettings.syncIntervalMinutes);
       
+      // Retry queued changes between full syncs, as soon as their backoff expires
+      this.outboxIntervalId = setInterval(async () => {
+        try {
+          if (syncLeaderService.isLeader && this.isOnline() && !(await this._isCircuitOpen())) {
+            await this.pushOutbox('retry');
+          }
+        } catch (error) {
+          console.error('AutoSyncService: Error retrying outbox:', error);
+        }
+      }, this.outboxCheckInterval * 1000);
+      
+      this._setupTriggers();
+      
+      // A tab that takes over from a closed leader catches up on a missed sync
+      syncLeaderService.addLeadershipListener(isLeader => {
+        if (isLeader && this.isStartupComplete) {
+          this.checkAndPerformSync('leader');
+        }
+      });
+      syncLeaderService.start();
+      
       // Check if we should sync on startup
       if (syncSettings.syncOnStartup) {
         console.log('AutoSyncService: Sync on startup enabled, scheduling initial sync...');
-        
-        // Delay initial sync a bit to allow app to load
-        setTimeout(() => this.checkAndPerformSync(), 5000);
       }
       
+      // Delay initial sync a bit to allow app to load
+      setTimeout(() => {
+        this.isStartupComplete = true;
+        if (syncSettings.syncOnStartup) {
+          this.checkAndPerformSync('startup');
+        }
+      }, 5000);
+      
       this.isInitialized = true;
       console.log('AutoSyncService: Initialization complete');
     } catch (error) {
@@ -53,6 +103,141 @@ class AutoSyncService {
     }
   }
 
+  /**
+   * Listen for connectivity, visibility, local saves and requests from other tabs
+   * @private
+   */
+  _setupTriggers() {
+    window.addEventListener('online', () => {
+      console.log('AutoSyncService: Back online, syncing shortly');
+      setTimeout(() => this.requestSync('online'), this.reconnectDelay * 1000);
+    });
+    
+    window.addEventListener('offline', () => {
+      console.log('AutoSyncService: Offline, pausing sync until the connection returns');
+    });
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.hiddenSince = Date.now();
+        return;
+      }
+      
+      const hiddenMinutes = this.hiddenSince ? (Date.now() - this.hiddenSince) / (60 * 1000) : 0;
+      this.hiddenSince = null;
+      if (hiddenMinutes >= this.hiddenSyncThreshold) {
+        console.log(`AutoSyncService: Tab visible again after ${hiddenMinutes.toFixed(1)} minutes, syncing`);
+        this.requestSync('visible');
+      }
+    });
+    
+    // Push local saves soon instead of waiting for the next interval
+    syncOutboxRepository.addEnqueueListener(() => this.schedulePush());
+    
+    // Triggers from other tabs are carried out by the leader
+    syncLeaderService.addMessageListener(message => {
+      if (!syncLeaderService.isLeader) return;
+      
+      if (message.type === 'sync-requested') {
+        this.requestSync(message.reason);
+      } else if (message.type === 'push-requested') {
+        this.schedulePush();
+      }
+    });
+  }
+
+  /**
+   * Check whether the browser reports a network connection
+   * @returns {boolean} False only when the browser is known to be offline
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Run a full sync for a trigger, in this tab if it leads or else in the leader tab
+   * @param {string} reason - What triggered the sync, for logging
+   * @returns {Promise<void>}
+   */
+  async requestSync(reason) {
+    if (!this.isOnline()) {
+      console.log(`AutoSyncService: Offline, ignoring ${reason} sync trigger`);
+      return;
+    }
+    
+    if (!syncLeaderService.isLeader) {
+      syncLeaderService.broadcast('sync-requested', { reason });
+      return;
+    }
+    
+    if (this.isPerformingSync) {
+      console.log(`AutoSyncService: Sync already in progress, ignoring ${reason} sync trigger`);
+      return;
+    }
+    
+    const holdReason = await this._getBackoffReason();
+    if (holdReason) {
+      console.log(`AutoSyncService: ${holdReason}, ignoring ${reason} sync trigger`);
+      return;
+    }
+    
+    try {
+      this.isPerformingSync = true;
+      console.log(`AutoSyncService: Sync triggered (${reason})`);
+      await this.performSync(reason);
+    } catch (error) {
+      console.error(`AutoSyncService: Error during ${reason} sync:`, error);
+    } finally {
+      this.isPerformingSync = false;
+    }
+  }
+
+  /**
+   * Push the outbox shortly after the last local save
+   * Saves in quick succession are sent together once they stop.
+   */
+  schedulePush() {
+    if (this.pushTimeoutId) {
+      clearTimeout(this.pushTimeoutId);
+    }
+    
+    this.pushTimeoutId = setTimeout(async () => {
+      this.pushTimeoutId = null;
+      
+      // Coming back online, or closing the circuit, sends everything anyway
+      if (!this.isOnline() || await this._isCircuitOpen()) return;
+      
+      if (!syncLeaderService.isLeader) {
+        syncLeaderService.broadcast('push-requested');
+        return;
+      }
+      
+      // A running sync or drain may already have read the outbox; try again after it
+      if (this.isDrainingOutbox || syncService.isSyncing) {
+        this.schedulePush();
+        return;
+      }
+      
+      this.pushOutbox('push');
+    }, this.pushDelay * 1000);
+  }
+
+  /**
+   * Send the outbox outside a full sync, logging the run when anything was sent or failed
+   * @param {string} trigger - 'push' after local saves, 'retry' when backoffs expire
+   * @returns {Promise<Object>} Drain results
+   */
+  async pushOutbox(trigger) {
+    const startedAt = new Date();
+    const results = await this.drainOutbox();
+    
+    if (results.count > 0 || results.failed > 0) {
+      await this._logSyncRun(trigger, startedAt, { exportRestaurants: results });
+    }
+    
+    return results;
+  }
+
   /**
    * Setup the sync interval
    * @param {number} intervalMinutes Minutes between sync attempts
@@ -78,16 +263,34 @@ class AutoSyncService {
     console.log(`AutoSyncService: Setting up sync interval for every ${safeInterval} minutes`);
     
     // Set new interval
-    this.syncIntervalId = setInterval(() => this.checkAndPerformSync(), intervalMs);
+    this.syncIntervalId = setInterval(() => this.checkAndPerformSync('interval'), intervalMs);
     
     return safeInterval;
   }
 
   /**
    * Check if sync is needed and perform it
+   * @param {string} trigger - What started the check, recorded in the sync run log
    * @returns {Promise<boolean>} Whether sync was performed
    */
-  async checkAndPerformSync() {
+  async checkAndPerformSync(trigger = 'interval') {
+    // Scheduled syncs run in the leader tab only
+    if (!syncLeaderService.isLeader) {
+      console.log('AutoSyncService: Another tab leads scheduled syncs, skipping check');
+      return false;
+    }
+    
+    if (!this.isOnline()) {
+      console.log('AutoSyncService: Offline, skipping scheduled sync');
+      return false;
+    }
+    
+    const holdReason = await this._getBackoffReason();
+    if (holdReason) {
+      console.log(`AutoSyncService: ${holdReason}, skipping scheduled sync`);
+      return false;
+    }
+    
     // Prevent concurrent syncs
     if (this.isPerformingSync) {
       console.log('AutoSyncService: Sync already in progress, skipping check');
@@ -102,7 +305,7 @@ class AutoSyncService {
       
       if (isNeeded) {
         console.log('AutoSyncService: Sync needed, initiating full sync');
-        await this.performSync();
+        await this.performSync(trigger);
         return true;
       } else {
         console.log('AutoSyncService: Sync not needed at this time');
@@ -118,15 +321,17 @@ class AutoSyncService {
 
   /**
    * Perform a full sync
+   * @param {string} trigger - What started the sync, recorded in the sync run log
    * @returns {Promise<Object>} Sync results
    */
-  async performSync() {
+  async performSync(trigger = 'interval') {
     try {
-      console.log('AutoSyncService: Performing full sync');
-      const results = await syncService.performFullSync();
+      console.log(`AutoSyncService: Performing full sync (${trigger})`);
+      const results = await this._runFullSync({ trigger });
       
       // Add timestamp to results
       results.timestamp = new Date().toISOString();
+      this._announceSync(results);
       
       console.log('AutoSyncService: Sync completed with results:', results);
       return results;
@@ -136,11 +341,33 @@ class AutoSyncService {
     }
   }
 
+  /**
+   * Preview what a manual sync would change without writing anything
+   * @returns {Promise<Object>} Sync results whose `plan` arrays list every item with its reason
+   */
+  async previewSync() {
+    if (this.isPerformingSync) {
+      throw new Error('Sync already in progress');
+    }
+    
+    try {
+      console.log('AutoSyncService: Previewing sync');
+      this.isPerformingSync = true;
+      return await this._runFullSync({ includeDelayed: true, dryRun: true });
+    } finally {
+      this.isPerformingSync = false;
+    }
+  }
+
   /**
    * Perform a manual sync triggered by user
+   * @param {Object} options - Sync options
+   * @param {Set<string>} options.exclude - Plan item keys from a preview to leave untouched
    * @returns {Promise<Object>} Sync results
    */
-  async performManualSync() {
+  async performManualSync(options = {}) {
+    const { exclude = new Set() } = options;
+    
     // Even for manual sync, prevent concurrent operations
     if (this.isPerformingSync) {
       console.log('AutoSyncService: Sync already in progress, cannot start manual sync');
@@ -151,29 +378,424 @@ class AutoSyncService {
       console.log('AutoSyncService: Starting manual sync');
       this.isPerformingSync = true;
       
-      // Perform the sync
-      const results = await syncService.performFullSync();
-      
-      // Update settings
-      await settingsService.addSyncHistoryEntry(
-        { added: results.importRestaurants.added, updated: results.importRestaurants.updated }, 
-        results.importRestaurants.success ? 'success' : 'error'
-      );
+      // Perform the sync, then push everything waiting in the outbox
+      const results = await this._runFullSync({ includeDelayed: true, exclude, trigger: 'manual' });
       
+      this._announceSync(results);
       console.log('AutoSyncService: Manual sync completed with results:', results);
       return results;
     } catch (error) {
       console.error('AutoSyncService: Error during manual sync:', error);
+      throw error;
+    } finally {
+      this.isPerformingSync = false;
+    }
+  }
+
+  /**
+   * Pull server changes and push the outbox as one cancellable sync run
+   * Runs other than previews are recorded in the sync run log.
+   * @param {Object} options - Options for drainOutbox; dryRun and exclude also apply to the import
+   * @param {string} options.trigger - What started the run
+   * @returns {Promise<Object>} Sync results, with `cancelled` set when the user cancelled
+   * @private
+   */
+  async _runFullSync(options = {}) {
+    const ownsRun = syncService.beginRun();
+    const startedAt = new Date();
+    let results = {};
+    
+    try {
+      results = await syncService.performFullSync({ dryRun: options.dryRun, exclude: options.exclude });
       
-      // Add error to sync history
-      await settingsService.addSyncHistoryEntry({ error: error.message }, 'error');
+      // Restaurants that would be queued are listed before the entries already waiting
+      const queuePlan = results.exportRestaurants.plan || [];
+      results.exportRestaurants = results.cancelled
+        ? { success: false, count: 0, failed: 0, cancelled: true, plan: [] }
+        : await this.drainOutbox(options);
+      if (options.dryRun) {
+        results.exportRestaurants.plan = [...queuePlan, ...results.exportRestaurants.plan];
+      }
+      results.cancelled = syncService.isCancelled();
       
+      if (!options.dryRun) {
+        await this._recordSyncOutcome(results);
+      }
+      
+      return results;
+    } catch (error) {
+      results = { ...results, error: error.message };
       throw error;
     } finally {
-      this.isPerformingSync = false;
+      syncService.endRun(ownsRun);
+      if (!options.dryRun) {
+        await this._logSyncRun(options.trigger || 'manual', startedAt, results);
+      }
     }
   }
 
+  /**
+   * Record a finished run in the sync run log
+   * Imported and pushed restaurants are listed with the plan action they ended with.
+   * @param {string} trigger - What started the run
+   * @param {Date} startedAt - Start time
+   * @param {Object} results - Sync results; outbox-only runs have no importRestaurants
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _logSyncRun(trigger, startedAt, results) {
+    try {
+      const imported = results.importRestaurants || {};
+      const exported = results.exportRestaurants || {};
+      const profile = await settingsService.getActiveServerProfile();
+      const error = results.error || imported.error || exported.error || null;
+      
+      let status = 'success';
+      if (results.cancelled || exported.cancelled) {
+        status = 'cancelled';
+      } else if (results.error || imported.success === false || exported.success === false) {
+        status = 'error';
+      } else if (imported.errors > 0 || exported.failed > 0) {
+        status = 'partial';
+      }
+      
+      const outcomes = [...(imported.plan || []), ...(exported.plan || [])]
+        .map(({ direction, name, serverId, restaurantId, action, reason }) => 
+          ({ direction, name, serverId, restaurantId, action, reason }));
+      
+      await syncRunRepository.recordRun({
+        trigger,
+        serverProfileId: profile.id,
+        serverProfileName: profile.name,
+        startedAt,
+        endedAt: new Date(),
+        status,
+        error,
+        summary: {
+          added: imported.added || 0,
+          updated: imported.updated || 0,
+          removed: (imported.removed || 0) + (imported.detached || 0),
+          conflicts: imported.conflicts || 0,
+          exported: exported.count || 0,
+          failed: (imported.errors || 0) + (exported.failed || 0)
+        },
+        outcomes
+      });
+    } catch (error) {
+      console.error('AutoSyncService: Error logging sync run:', error);
+    }
+  }
+
+  /**
+   * Update the failure state after a sync
+   * A success resets it. A failure postpones the next automatic sync by the sync
+   * interval doubled for every consecutive failure, and opens the circuit once the
+   * failure threshold is reached. Cancelled syncs and missing sign-ins don't count.
+   * @param {Object} results - Sync results
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordSyncOutcome(results) {
+    const imported = results.importRestaurants || {};
+    if (results.cancelled || imported.authRequired) {
+      return;
+    }
+    
+    try {
+      const health = await settingsService.getSyncHealth();
+      
+      if (imported.success) {
+        if (health.consecutiveFailures > 0) {
+          console.log(`AutoSyncService: Sync recovered after ${health.consecutiveFailures} failures`);
+          await this._resetHealth();
+        }
+        return;
+      }
+      
+      const consecutiveFailures = health.consecutiveFailures + 1;
+      const interval = await settingsService.getSetting('syncIntervalMinutes', this.defaultSyncInterval);
+      const delayMinutes = Math.min(Math.max(5, interval) * Math.pow(2, consecutiveFailures - 1), this.maxBackoffMinutes);
+      const circuitOpen = consecutiveFailures >= this.failureThreshold;
+      
+      await settingsService.updateSyncHealth({
+        consecutiveFailures,
+        nextAttemptAt: new Date(Date.now() + delayMinutes * 60 * 1000).toISOString(),
+        circuitOpen,
+        lastError: imported.error || results.error || 'Sync failed'
+      });
+      
+      if (circuitOpen) {
+        console.warn(`AutoSyncService: ${consecutiveFailures} consecutive sync failures, pausing automatic sync`);
+      } else {
+        console.warn(`AutoSyncService: Sync failed ${consecutiveFailures} times in a row, next attempt in ${delayMinutes} minutes`);
+      }
+    } catch (error) {
+      console.error('AutoSyncService: Error recording sync outcome:', error);
+    }
+  }
+
+  /**
+   * Explain why automatic syncs are on hold after failures
+   * @returns {Promise<string|null>} Reason, or null when automatic syncs may run
+   * @private
+   */
+  async _getBackoffReason() {
+    const health = await settingsService.getSyncHealth();
+    
+    if (health.circuitOpen) {
+      return `Automatic sync paused after ${health.consecutiveFailures} failures`;
+    }
+    
+    if (health.nextAttemptAt && new Date(health.nextAttemptAt) > new Date()) {
+      return `Backing off after ${health.consecutiveFailures} failures until ${new Date(health.nextAttemptAt).toLocaleTimeString()}`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether automatic syncs are paused after repeated failures
+   * @returns {Promise<boolean>} True when the circuit is open
+   * @private
+   */
+  async _isCircuitOpen() {
+    const health = await settingsService.getSyncHealth();
+    return health.circuitOpen;
+  }
+
+  /**
+   * Clear the failure state
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resetHealth() {
+    await settingsService.updateSyncHealth({
+      consecutiveFailures: 0,
+      nextAttemptAt: null,
+      circuitOpen: false,
+      lastError: null
+    });
+  }
+
+  /**
+   * Close the circuit after failures and try to sync right away
+   * @returns {Promise<void>}
+   */
+  async resetCircuit() {
+    await this._resetHealth();
+    console.log('AutoSyncService: Sync failure state reset by user');
+    await this.requestSync('reset');
+  }
+
+  /**
+   * Send queued local changes to the server in the order they were made
+   * Entries that fail are rescheduled with exponential backoff and dead-lettered after
+   * repeated failures. Later entries of the same restaurant wait behind an earlier one
+   * that is delayed or failed, and restaurants with an open conflict are held until it
+   * is resolved. Stops early when the sync is cancelled.
+   * Every decision is recorded in `results.plan`; in dry-run mode nothing is sent.
+   * @param {Object} options - Drain options
+   * @param {boolean} options.includeDelayed - Also send entries whose backoff has not expired
+   * @param {boolean} options.dryRun - Only report what would be sent
+   * @param {Set<string>} options.exclude - Plan item keys to keep in the outbox
+   * @returns {Promise<Object>} Drain results
+   */
+  async drainOutbox(options = {}) {
+    const { includeDelayed = false, dryRun = false, exclude = new Set() } = options;
+    const results = {
+      success: true,
+      count: 0,
+      failed: 0,
+      deadLettered: 0,
+      held: 0,
+      plan: []
+    };
+    
+    // Also wait for a running import, which may record conflicts for queued restaurants
+    if (this.isDrainingOutbox || syncService.isSyncing) {
+      console.log('AutoSyncService: Sync or outbox drain in progress, skipping');
+      return results;
+    }
+    
+    let ownsRun = false;
+    
+    try {
+      this.isDrainingOutbox = true;
+      
+      const entries = await syncOutboxRepository.getPendingEntries();
+      if (entries.length === 0) {
+        return results;
+      }
+      
+      ownsRun = syncService.beginRun();
+      
+      console.log(`AutoSyncService: Draining ${entries.length} outbox entries`);
+      const blockedRestaurants = new Set();
+      const activeProfile = await settingsService.getActiveServerProfile();
+      const scope = await syncService.loadSyncScope();
+      const now = new Date();
+      
+      for (const [index, entry] of entries.entries()) {
+        if (syncService.isCancelled()) {
+          results.cancelled = true;
+          break;
+        }
+        
+        syncService.emitProgress({ phase: 'push', processed: index, total: entries.length });
+        
+        const planItem = {
+          key: `outbox:${entry.id}`,
+          direction: 'export',
+          name: await syncService.getOutboxEntryName(entry),
+          serverId: entry.serverId,
+          restaurantId: entry.restaurantId
+        };
+        const holdReason = await this._getHoldReason(entry, {
+          isBlocked: blockedRestaurants.has(entry.restaurantId),
+          isExcluded: exclude.has(planItem.key),
+          includeDelayed,
+          activeProfileId: activeProfile.id,
+          scope,
+          now
+        });
+        
+        if (holdReason) {
+          blockedRestaurants.add(entry.restaurantId);
+          results.held++;
+          results.plan.push({ ...planItem, action: 'skip', reason: holdReason });
+          continue;
+        }
+        
+        const sendItem = { ...planItem, ...AutoSyncService.OUTBOX_PLAN[entry.operation] };
+        results.plan.push(sendItem);
+        
+        if (dryRun) {
+          results.count++;
+          continue;
+        }
+        
+        try {
+          // Photo uploads queued by a pushed restaurant are sent in the same run
+          const followUp = await syncService.pushOutboxEntry(entry);
+          if (followUp) {
+            entries.push(followUp);
+          }
+          results.count++;
+        } catch (error) {
+          // Aborted by the user, not a server failure: leave the entry untouched
+          if (syncService.isCancelError(error)) {
+            results.cancelled = true;
+            break;
+          }
+          
+          // Every later entry would be rejected too; keep them queued until the user signs in
+          if (syncService.isAuthError(error)) {
+            results.success = false;
+            results.error = error.message;
+            Object.assign(sendItem, { action: 'error', reason: error.message });
+            break;
+          }
+          
+          console.error(`AutoSyncService: Error sending outbox entry ${entry.id} (${entry.operation}):`, error);
+          Object.assign(sendItem, { action: 'error', reason: error.message });
+          const failedEntry = await syncOutboxRepository.markFailed(entry.id, error);
+          blockedRestaurants.add(entry.restaurantId);
+          results.failed++;
+          
+          if (failedEntry && failedEntry.status === 'dead') {
+            results.deadLettered++;
+          }
+          
+          if (entry.operation !== 'delete') {
+            const message = failedEntry && failedEntry.status === 'dead'
+              ? `Upload failed after ${failedEntry.attempts} attempts: ${error.message}`
+              : error.message;
+            await restaurantRepository.setSyncState(entry.restaurantId, 'error', message);
+          }
+        }
+      }
+      
+      // Report failure only when nothing could be pushed
+      if (results.failed > 0 && results.count === 0) {
+        results.success = false;
+        results.error = `Failed to send ${results.failed} queued changes`;
+      }
+      
+      if (!dryRun && results.count > 0) {
+        syncLeaderService.broadcast('outbox-drained', { count: results.count });
+      }
+      
+      console.log(`AutoSyncService: Outbox ${dryRun ? 'preview' : 'drain'} completed with results:`, results);
+      return results;
+    } catch (error) {
+      console.error('AutoSyncService: Error draining outbox:', error);
+      return { ...results, success: false, error: error.message };
+    } finally {
+      this.isDrainingOutbox = false;
+      syncService.endRun(ownsRun);
+    }
+  }
+
+  /**
+   * Tell the other open tabs that a sync finished, so they reload their data
+   * @param {Object} results - Sync results
+   * @private
+   */
+  _announceSync(results) {
+    const imported = results.importRestaurants || {};
+    const exported = results.exportRestaurants || {};
+    
+    syncLeaderService.broadcast('sync-completed', {
+      success: Boolean(imported.success) && !results.cancelled,
+      added: imported.added || 0,
+      updated: imported.updated || 0,
+      removed: imported.removed || 0,
+      exported: exported.count || 0,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Explain why an outbox entry can't be sent in this run
+   * @param {Object} entry - Outbox entry
+   * @param {Object} context - Drain state for the entry
+   * @returns {Promise<string|null>} Reason, or null if the entry can be sent
+   * @private
+   */
+  async _getHoldReason(entry, { isBlocked, isExcluded, includeDelayed, activeProfileId, scope, now }) {
+    if (isBlocked) {
+      return 'Waits for an earlier change of the same restaurant';
+    }
+    
+    if (isExcluded) {
+      return 'Excluded from this sync';
+    }
+    
+    if (!includeDelayed && new Date(entry.nextAttemptAt) > now) {
+      return `Retry scheduled after ${entry.attempts} failed attempts: ${entry.lastError}`;
+    }
+    
+    // Server IDs are only meaningful on the server that issued them
+    if (entry.serverProfileId && entry.serverProfileId !== activeProfileId) {
+      return 'Belongs to another server profile';
+    }
+    
+    // Kept queued, so the change is sent if the rules later include the restaurant
+    if (scope && entry.operation !== 'delete') {
+      const restaurant = await restaurantRepository.getRestaurantById(entry.restaurantId);
+      if (restaurant && !syncService.isLocalInScope(scope, restaurant)) {
+        return 'Outside the sync rules';
+      }
+    }
+    
+    if (entry.operation !== 'delete' &&
+        await syncConflictRepository.getOpenConflictForRestaurant(entry.restaurantId)) {
+      return 'Open conflict must be resolved first';
+    }
+    
+    return null;
+  }
+
   /**
    * Update the sync interval
    * @param {number} minutes New interval in minutes
@@ -194,8 +816,26 @@ class AutoSyncService {
       clearInterval(this.syncIntervalId);
       this.syncIntervalId = null;
     }
+    
+    if (this.outboxIntervalId) {
+      clearInterval(this.outboxIntervalId);
+      this.outboxIntervalId = null;
+    }
+    
+    if (this.pushTimeoutId) {
+      clearTimeout(this.pushTimeoutId);
+      this.pushTimeoutId = null;
+    }
   }
 }
 
+// Plan actions reported for each outbox operation
+AutoSyncService.OUTBOX_PLAN = {
+  create: { action: 'add', reason: 'Created locally' },
+  update: { action: 'update', reason: 'Edited locally' },
+  delete: { action: 'delete', reason: 'Deleted locally' },
+  photos: { action: 'update', reason: 'Photos to upload' }
+};
+
 const autoSyncService = new AutoSyncService();
 export default autoSyncService;
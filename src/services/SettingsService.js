@@ -14,9 +14,19 @@ class SettingsService {
     this.defaultSettings = {
       syncIntervalMinutes: 30,
       syncOnStartup: true,
-      syncHistory: [],
       currentCurator: null,
-      lastSyncTime: null
+      lastSyncTime: null,
+      serverProfiles: [
+        {
+          id: 'production',
+          name: 'Production',
+          url: 'https://wsmontes.pythonanywhere.com/api',
+          lastSyncTime: null
+        }
+      ],
+      activeServerProfileId: 'production',
+      snapshotRetention: 5,
+      trashRetentionDays: 30
     };
     
     // Initialize the database reference when needed, not immediately
@@ -51,12 +61,22 @@ class SettingsService {
       const effectiveDefault = key in this.defaultSettings ? this.defaultSettings[key] : defaultValue;
       
       const setting = await this.db.settings.get(key);
-      return setting ? setting.value : effectiveDefault;
+      return setting ? setting.value : this._cloneDefault(effectiveDefault);
     } catch (error) {
       console.error(`SettingsService: Error getting setting ${key}:`, error);
-      return key in this.defaultSettings ? this.defaultSettings[key] : defaultValue;
+      return this._cloneDefault(key in this.defaultSettings ? this.defaultSettings[key] : defaultValue);
     }
   }
+  
+  /**
+   * Copy object defaults so callers cannot mutate the shared defaults
+   * @param {any} value - Default value
+   * @returns {any} A deep copy for objects and arrays, the value itself otherwise
+   * @private
+   */
+  _cloneDefault(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
 
   /**
    * Update or create a setting
@@ -77,12 +97,187 @@ class SettingsService {
   }
 
   /**
-   * Get the last sync time
+   * Get all configured server profiles
+   * @returns {Promise<Array>} Server profiles
+   */
+  async getServerProfiles() {
+    const profiles = await this.getSetting('serverProfiles');
+    return Array.isArray(profiles) && profiles.length > 0 
+      ? profiles 
+      : this._cloneDefault(this.defaultSettings.serverProfiles);
+  }
+
+  /**
+   * Get a server profile by ID
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object|null>} Server profile or null if not found
+   */
+  async getServerProfile(profileId) {
+    const profiles = await this.getServerProfiles();
+    return profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  /**
+   * Get the server profile used for synchronization
+   * @returns {Promise<Object>} Active server profile
+   */
+  async getActiveServerProfile() {
+    const profiles = await this.getServerProfiles();
+    const activeId = await this.getSetting('activeServerProfileId');
+    return profiles.find(profile => profile.id === activeId) || profiles[0];
+  }
+
+  /**
+   * Set the server profile used for synchronization
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object>} The newly active profile
+   */
+  async setActiveServerProfile(profileId) {
+    const profile = await this.getServerProfile(profileId);
+    if (!profile) {
+      throw new Error(`Server profile ${profileId} not found`);
+    }
+    
+    await this.updateSetting('activeServerProfileId', profileId);
+    console.log(`SettingsService: Active server profile set to ${profile.name}`);
+    return profile;
+  }
+
+  /**
+   * Create or update a server profile
+   * @param {Object} profile - Profile data
+   * @param {string} [profile.id] - Existing profile ID (omit to create)
+   * @param {string} profile.name - Display name
+   * @param {string} profile.url - API base URL
+   * @returns {Promise<Object>} The saved profile
+   */
+  async saveServerProfile(profile) {
+    const name = (profile.name || '').trim();
+    const url = (profile.url || '').trim().replace(/\/+$/, '');
+    
+    if (!name) {
+      throw new Error('Server profile name is required');
+    }
+    if (!/^((couchdb\+)?https?|memory):\/\//i.test(url)) {
+      throw new Error('Server URL must start with http://, https://, couchdb+http://, couchdb+https:// or memory://');
+    }
+    
+    return this._modifyServerProfiles(async profiles => {
+      if (profile.id) {
+        const index = profiles.findIndex(existing => existing.id === profile.id);
+        if (index === -1) {
+          throw new Error(`Server profile ${profile.id} not found`);
+        }
+        // A different server invalidates the stored change cursor and credentials
+        const sameServer = profiles[index].url === url;
+        const changeCursor = sameServer ? profiles[index].changeCursor : null;
+        const auth = sameServer ? profiles[index].auth || null : null;
+        profiles[index] = { ...profiles[index], name, url, changeCursor, auth };
+        return profiles[index];
+      }
+      
+      const saved = {
+        id: this._createProfileId(name, profiles),
+        name,
+        url,
+        lastSyncTime: null,
+        changeCursor: null,
+        auth: null
+      };
+      profiles.push(saved);
+      return saved;
+    });
+  }
+
+  /**
+   * Delete a server profile (the active profile cannot be deleted)
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  async deleteServerProfile(profileId) {
+    await this._modifyServerProfiles(async profiles => {
+      const active = await this.getActiveServerProfile();
+      if (active.id === profileId) {
+        throw new Error('The active server profile cannot be deleted');
+      }
+      
+      const index = profiles.findIndex(profile => profile.id === profileId);
+      if (index !== -1) {
+        profiles.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Update fields of a stored server profile
+   * @param {string} profileId - Profile ID
+   * @param {Object} changes - Fields to merge into the profile
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateServerProfileFields(profileId, changes) {
+    await this._modifyServerProfiles(profiles => {
+      const index = profiles.findIndex(profile => profile.id === profileId);
+      if (index === -1) {
+        throw new Error(`Server profile ${profileId} not found`);
+      }
+      
+      profiles[index] = { ...profiles[index], ...changes };
+    });
+  }
+
+  /**
+   * Read, change and write back the server profiles in one transaction
+   * Profiles are updated from several places at once (token refreshes, cursors, health),
+   * so a separate read and write could overwrite another update.
+   * @param {Function} modify - Changes the profiles array in place; may only await database calls
+   * @returns {Promise<any>} The return value of modify
+   * @private
+   */
+  async _modifyServerProfiles(modify) {
+    if (!this.db) {
+      await this._initializeDb();
+    }
+    
+    return this.db.transaction('rw', this.db.settings, async () => {
+      const profiles = await this.getServerProfiles();
+      const result = await modify(profiles);
+      await this.updateSetting('serverProfiles', profiles);
+      return result;
+    });
+  }
+
+  /**
+   * Build a unique, readable profile ID from its name
+   * @param {string} name - Profile name
+   * @param {Array} profiles - Existing profiles
+   * @returns {string} Profile ID
+   * @private
+   */
+  _createProfileId(name, profiles) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'server';
+    let id = base;
+    let suffix = 2;
+    while (profiles.some(profile => profile.id === id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * Get the last sync time of the active server profile
    * @returns {Promise<Date|null>} Last sync time or null
    */
   async getLastSyncTime() {
     try {
-      const lastSyncTimeStr = await this.getSetting('lastSyncTime', null);
+      const profile = await this.getActiveServerProfile();
+      let lastSyncTimeStr = profile.lastSyncTime;
+      
+      // Syncs recorded before server profiles existed always targeted production
+      if (!lastSyncTimeStr && profile.id === 'production') {
+        lastSyncTimeStr = await this.getSetting('lastSyncTime', null);
+      }
+      
       return lastSyncTimeStr ? new Date(lastSyncTimeStr) : null;
     } catch (error) {
       console.error('SettingsService: Error getting last sync time:', error);
@@ -91,13 +286,15 @@ class SettingsService {
   }
 
   /**
-   * Update last sync time to current time
+   * Update last sync time of the active server profile to current time
    * @returns {Promise<void>}
    */
   async updateLastSyncTime() {
     try {
-      await this.updateSetting('lastSyncTime', new Date().toISOString());
-      console.log('SettingsService: Last sync time updated:', new Date().toISOString());
+      const profile = await this.getActiveServerProfile();
+      const now = new Date().toISOString();
+      await this._updateServerProfileFields(profile.id, { lastSyncTime: now });
+      console.log(`SettingsService: Last sync time for ${profile.name} updated:`, now);
     } catch (error) {
       console.error('SettingsService: Error updating last sync time:', error);
       throw error;
@@ -105,42 +302,76 @@ class SettingsService {
   }
 
   /**
-   * Get sync history
-   * @returns {Promise<Array>} Sync history entries
+   * Get the change cursor of the active server profile
+   * @returns {Promise<string|null>} Cursor from the last delta sync or null
    */
-  async getSyncHistory() {
-    return await this.getSetting('syncHistory', []);
+  async getSyncCursor() {
+    const profile = await this.getActiveServerProfile();
+    return profile.changeCursor || null;
   }
 
   /**
-   * Add entry to sync history
-   * @param {Object} result - Sync result
-   * @param {string} status - Success or error
+   * Store the change cursor of the active server profile
+   * @param {string|null} cursor - Cursor returned by the server, or null to force a full sync
    * @returns {Promise<void>}
    */
-  async addSyncHistoryEntry(result, status = 'success') {
-    try {
-      const history = await this.getSyncHistory();
-      
-      const entry = {
-        timestamp: new Date().toISOString(),
-        status: status,
-        message: status === 'success' 
-          ? `Imported ${result.added || 0} new, updated ${result.updated || 0}` 
-          : result.error || 'Sync failed'
-      };
-      
-      // Add new entry and keep only last 10
-      const updatedHistory = [entry, ...history].slice(0, 10);
-      await this.updateSetting('syncHistory', updatedHistory);
-      
-      // Update last sync time if successful
-      if (status === 'success') {
-        await this.updateLastSyncTime();
-      }
-    } catch (error) {
-      console.error('SettingsService: Error updating sync history:', error);
-    }
+  async updateSyncCursor(cursor) {
+    const profile = await this.getActiveServerProfile();
+    await this._updateServerProfileFields(profile.id, { changeCursor: cursor });
+  }
+
+  /**
+   * Get the stored tokens of a server profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object|null>} { accessToken, refreshToken, expiresAt, username } or null when signed out
+   */
+  async getAuthTokens(profileId) {
+    const profile = await this.getServerProfile(profileId);
+    return profile && profile.auth ? profile.auth : null;
+  }
+
+  /**
+   * Store the tokens of a server profile after signing in or refreshing
+   * @param {string} profileId - Profile ID
+   * @param {Object} tokens - { accessToken, refreshToken, expiresAt, username }
+   * @returns {Promise<void>}
+   */
+  async saveAuthTokens(profileId, tokens) {
+    await this._updateServerProfileFields(profileId, { auth: tokens });
+  }
+
+  /**
+   * Remove the tokens of a server profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  async clearAuthTokens(profileId) {
+    await this._updateServerProfileFields(profileId, { auth: null });
+  }
+
+  /**
+   * Get the failure state of automatic syncs with the active server profile
+   * @returns {Promise<Object>} { consecutiveFailures, nextAttemptAt, circuitOpen, lastError }
+   */
+  async getSyncHealth() {
+    const profile = await this.getActiveServerProfile();
+    return {
+      consecutiveFailures: 0,
+      nextAttemptAt: null,
+      circuitOpen: false,
+      lastError: null,
+      ...(profile.syncHealth || {})
+    };
+  }
+
+  /**
+   * Store the failure state of automatic syncs with the active server profile
+   * @param {Object} health - { consecutiveFailures, nextAttemptAt, circuitOpen, lastError }
+   * @returns {Promise<void>}
+   */
+  async updateSyncHealth(health) {
+    const profile = await this.getActiveServerProfile();
+    await this._updateServerProfileFields(profile.id, { syncHealth: health });
   }
 
   /**
@@ -165,6 +396,81 @@ class SettingsService {
     await this.updateSetting('syncOnStartup', settings.syncOnStartup);
   }
 
+  /**
+   * Get the selective sync rules
+   * Empty lists don't restrict anything; when both are set a restaurant must match both.
+   * @returns {Promise<Object>} { curatorIds, concepts } with local curator IDs and { category, value } pairs
+   */
+  async getSyncRules() {
+    const rules = await this.getSetting('syncRules', null);
+    return { curatorIds: [], concepts: [], ...(rules || {}) };
+  }
+
+  /**
+   * Update the selective sync rules
+   * When they change, the change cursors of all server profiles are cleared so the
+   * next sync is a full import that adds newly included restaurants and drops excluded ones.
+   * @param {Object} rules - { curatorIds, concepts }
+   * @returns {Promise<boolean>} Whether the rules changed
+   */
+  async updateSyncRules(rules) {
+    const current = await this.getSyncRules();
+    const updated = {
+      curatorIds: (rules.curatorIds || []).map(Number).filter(id => !isNaN(id)),
+      concepts: (rules.concepts || [])
+        .filter(concept => concept && concept.category && concept.value)
+        .map(({ category, value }) => ({ category, value }))
+    };
+    
+    if (JSON.stringify(current) === JSON.stringify(updated)) {
+      return false;
+    }
+    
+    await this.updateSetting('syncRules', updated);
+    
+    await this._modifyServerProfiles(profiles => {
+      profiles.forEach((profile, index) => {
+        profiles[index] = { ...profile, changeCursor: null };
+      });
+    });
+    console.log('SettingsService: Sync rules updated, next sync imports everything:', updated);
+    return true;
+  }
+
+  /**
+   * Get how many safety snapshots are kept
+   * @returns {Promise<number>} Number of snapshots
+   */
+  async getSnapshotRetention() {
+    return this.getSetting('snapshotRetention', 5);
+  }
+
+  /**
+   * Update how many safety snapshots are kept
+   * @param {number} count - Number of snapshots, at least 1
+   * @returns {Promise<void>}
+   */
+  async updateSnapshotRetention(count) {
+    await this.updateSetting('snapshotRetention', Math.max(parseInt(count, 10) || 5, 1));
+  }
+
+  /**
+   * Get how many days deleted restaurants stay in the trash
+   * @returns {Promise<number>} Number of days
+   */
+  async getTrashRetentionDays() {
+    return this.getSetting('trashRetentionDays', 30);
+  }
+
+  /**
+   * Update how many days deleted restaurants stay in the trash
+   * @param {number} days - Number of days, at least 1
+   * @returns {Promise<void>}
+   */
+  async updateTrashRetentionDays(days) {
+    await this.updateSetting('trashRetentionDays', Math.max(parseInt(days, 10) || 30, 1));
+  }
+
   /**
    * Check if sync is needed based on time threshold
    * @param {number} thresholdMinutes - Minutes threshold for sync
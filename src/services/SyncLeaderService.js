@@ -0,0 +1,219 @@
+/**
+ * Elects one open tab as the sync leader and relays sync results between tabs
+ * The leader runs scheduled syncs; other tabs only refresh when it reports results.
+ * Uses the Web Locks API when available and falls back to heartbeats over a
+ * BroadcastChannel. Without either, the tab is always the leader
+ *
+ * @module SyncLeaderService
+ */
+
+class SyncLeaderService {
+  constructor() {
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.isLeader = false;
+    this.isStarted = false;
+    this.channel = null;
+    this.releaseLock = null;
+    this.heartbeatIntervalId = null;
+    this.lastLeaderHeartbeat = 0;
+    this.leadershipListeners = new Set();
+    this.messageListeners = new Set();
+    this.lockName = 'restaurant-sync-leader';
+    this.channelName = 'restaurant-sync';
+    this.heartbeatInterval = 2000; // milliseconds
+    this.leaderTimeout = 5000; // milliseconds without heartbeat before taking over
+    
+    console.log(`SyncLeaderService: Created instance for tab ${this.tabId}`);
+  }
+
+  /**
+   * Join the leader election
+   * @returns {void}
+   */
+  start() {
+    if (this.isStarted) {
+      return;
+    }
+    this.isStarted = true;
+    
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = event => this._handleMessage(event.data);
+    }
+    
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      // The lock is held until the tab closes, then the next waiting tab gets it
+      navigator.locks.request(this.lockName, () => {
+        this._setLeader(true);
+        return new Promise(resolve => {
+          this.releaseLock = resolve;
+        });
+      }).catch(error => {
+        console.error('SyncLeaderService: Error requesting leader lock:', error);
+      });
+    } else if (this.channel) {
+      this._startHeartbeatElection();
+    } else {
+      console.log('SyncLeaderService: No cross-tab support, this tab always leads');
+      this._setLeader(true);
+    }
+  }
+
+  /**
+   * Give up leadership and leave the election
+   * @returns {void}
+   */
+  stop() {
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+    
+    if (this.heartbeatIntervalId) {
+      clearInterval(this.heartbeatIntervalId);
+      this.heartbeatIntervalId = null;
+      if (this.isLeader) {
+        this._post({ type: 'leader-resigned' });
+      }
+    }
+    
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    
+    this._setLeader(false);
+    this.isStarted = false;
+  }
+
+  /**
+   * Register a listener called when this tab becomes or stops being the leader
+   * @param {Function} listener - Called with a boolean
+   * @returns {Function} Removes the listener
+   */
+  addLeadershipListener(listener) {
+    this.leadershipListeners.add(listener);
+    return () => this.leadershipListeners.delete(listener);
+  }
+
+  /**
+   * Register a listener for messages broadcast by other tabs
+   * @param {Function} listener - Called with { type, tabId, ...data }
+   * @returns {Function} Removes the listener
+   */
+  addMessageListener(listener) {
+    this.messageListeners.add(listener);
+    return () => this.messageListeners.delete(listener);
+  }
+
+  /**
+   * Send a message to every other open tab
+   * @param {string} type - Message type, e.g. 'sync-completed'
+   * @param {Object} data - Structured-cloneable payload
+   * @returns {void}
+   */
+  broadcast(type, data = {}) {
+    this._post({ ...data, type });
+  }
+
+  /**
+   * Elect a leader with heartbeats when Web Locks are unavailable
+   * The leader sends a heartbeat every interval; when it stops, the first tab to
+   * notice takes over. If two tabs take over at once, the lower tab ID wins.
+   * @private
+   */
+  _startHeartbeatElection() {
+    // Give a running leader the chance to announce itself before taking over
+    this.lastLeaderHeartbeat = Date.now();
+    this.heartbeatIntervalId = setInterval(() => {
+      if (this.isLeader) {
+        this._post({ type: 'leader-heartbeat' });
+      } else if (Date.now() - this.lastLeaderHeartbeat > this.leaderTimeout) {
+        this._setLeader(true);
+        this._post({ type: 'leader-heartbeat' });
+      }
+    }, this.heartbeatInterval);
+    
+    // Let another tab take over right away instead of waiting for the timeout
+    window.addEventListener('pagehide', () => {
+      if (this.isLeader) {
+        this._post({ type: 'leader-resigned' });
+      }
+    });
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - Message data
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message || message.tabId === this.tabId) {
+      return;
+    }
+    
+    if (message.type === 'leader-heartbeat') {
+      this.lastLeaderHeartbeat = Date.now();
+      if (this.isLeader && message.tabId < this.tabId) {
+        console.log(`SyncLeaderService: Tab ${message.tabId} also leads, stepping down`);
+        this._setLeader(false);
+      }
+      return;
+    }
+    
+    if (message.type === 'leader-resigned') {
+      this.lastLeaderHeartbeat = 0;
+      return;
+    }
+    
+    this.messageListeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('SyncLeaderService: Error in message listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Post a message on the channel, tagged with this tab's ID
+   * @param {Object} message - Message data
+   * @private
+   */
+  _post(message) {
+    if (!this.channel) {
+      return;
+    }
+    
+    try {
+      this.channel.postMessage({ ...message, tabId: this.tabId });
+    } catch (error) {
+      console.error('SyncLeaderService: Error broadcasting message:', error);
+    }
+  }
+
+  /**
+   * Update leadership and notify listeners on change
+   * @param {boolean} isLeader - Whether this tab leads
+   * @private
+   */
+  _setLeader(isLeader) {
+    if (this.isLeader === isLeader) {
+      return;
+    }
+    
+    this.isLeader = isLeader;
+    console.log(`SyncLeaderService: Tab ${this.tabId} ${isLeader ? 'is now' : 'is no longer'} the sync leader`);
+    
+    this.leadershipListeners.forEach(listener => {
+      try {
+        listener(isLeader);
+      } catch (error) {
+        console.error('SyncLeaderService: Error in leadership listener:', error);
+      }
+    });
+  }
+}
+
+const syncLeaderService = new SyncLeaderService();
+export default syncLeaderService;
@@ -1,119 +1,2236 @@
 /**
  * Handles synchronization with remote server API
+ * Imports and exports can be limited to the curators and concepts of the selective
+ * sync rules in SettingsService
+ * Server data goes through a SyncTransport: RestTransport for server URLs,
+ * CouchTransport for `couchdb+http(s)://` database URLs, and a MemoryTransport for
+ * `memory://` URLs, which keeps the server side in the page
  * 
  * @module SyncService
- * @depends DatabaseService
+ * @depends DatabaseService, SettingsService, RestaurantRepository, CuratorRepository, SyncConflictRepository, SyncOutboxRepository, TombstoneRepository, SnapshotService, RestTransport, CouchTransport, MemoryTransport
  */
 
 import databaseService from './db/DatabaseService.js';
 import settingsService from './SettingsService.js';
+import restaurantRepository from '../repositories/RestaurantRepository.js';
+import curatorRepository from '../repositories/CuratorRepository.js';
+import syncConflictRepository from '../repositories/SyncConflictRepository.js';
+import syncOutboxRepository from '../repositories/SyncOutboxRepository.js';
+import tombstoneRepository from '../repositories/TombstoneRepository.js';
+import snapshotService from './db/SnapshotService.js';
+import RestTransport from './transports/RestTransport.js';
+import CouchTransport from './transports/CouchTransport.js';
+import MemoryTransport from './transports/MemoryTransport.js';
 
 class SyncService {
   constructor() {
-    this.apiBase = 'https://wsmontes.pythonanywhere.com/api';
     this.isInitialized = false;
     this.isSyncing = false;
+    this.abortController = null;
+    this.progressListeners = new Set();
+    this.authListeners = new Set();
+    this.authRequiredProfiles = new Set(); // Profiles the user was already asked to sign in to
+    this.refreshPromises = new Map(); // Server profile ID -> token refresh in flight
+    this.curatorEndpoints = new Map(); // Server profile ID -> whether the server has a curator list
+    this.photoEndpoints = new Map(); // Server profile ID -> whether the server accepts photos
+    this.importSnapshotPending = false; // A full import still has to snapshot before overwriting local data
+    this.restTransport = new RestTransport((path, options) => this._request(path, options));
+    this.transports = new Map(); // Server URL -> transport, for backends other than REST
     
     console.log('SyncService: Instance created');
   }
 
+  /**
+   * Register a listener for sync progress events
+   * Events have the shape { phase, processed, total, current }, where phase is one of
+   * 'fetch', 'curators', 'import', 'photos', 'removals', 'queue', 'push', 'done' or 'cancelled'.
+   * @param {Function} listener - Called with each progress event
+   * @returns {Function} - Removes the listener
+   */
+  addProgressListener(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  /**
+   * Notify progress listeners
+   * @param {Object} progress - Progress event
+   * @param {string} progress.phase - Current sync phase
+   * @param {number} progress.processed - Items processed in this phase
+   * @param {number} progress.total - Items in this phase, 0 when unknown
+   * @param {string|null} progress.current - Name of the restaurant being processed
+   */
+  emitProgress({ phase, processed = 0, total = 0, current = null }) {
+    const event = { phase, processed, total, current };
+    
+    for (const listener of this.progressListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('SyncService: Error in progress listener:', error);
+      }
+    }
+  }
+
+  /**
+   * Start a cancellable sync run unless one is already active
+   * Every request made during the run shares its abort signal.
+   * @returns {boolean} - True if this call started the run and must end it
+   */
+  beginRun() {
+    if (this.abortController) {
+      return false;
+    }
+    
+    this.abortController = new AbortController();
+    return true;
+  }
+
+  /**
+   * End a sync run started with beginRun and report its outcome to listeners
+   * @param {boolean} owned - Value returned by beginRun
+   */
+  endRun(owned) {
+    if (!owned) return;
+    
+    const cancelled = this.isCancelled();
+    this.abortController = null;
+    this.emitProgress({ phase: cancelled ? 'cancelled' : 'done' });
+  }
+
+  /**
+   * Cancel the running sync; pending requests are aborted
+   * @returns {boolean} - True if a sync was running
+   */
+  cancelSync() {
+    if (!this.abortController || this.abortController.signal.aborted) {
+      return false;
+    }
+    
+    console.log('SyncService: Cancelling sync');
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Check whether the running sync was cancelled
+   * @returns {boolean} - True if cancelled
+   */
+  isCancelled() {
+    return Boolean(this.abortController && this.abortController.signal.aborted);
+  }
+
+  /**
+   * Check whether an error was caused by cancelling the sync
+   * @param {Error} error - Error to check
+   * @returns {boolean} - True for cancellation errors
+   */
+  isCancelError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+  }
+
+  /**
+   * Stop the current operation if the sync was cancelled
+   * @throws {Error} - AbortError when cancelled
+   * @private
+   */
+  _throwIfCancelled() {
+    if (this.isCancelled()) {
+      const error = new Error('Sync cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the API base URL of the active server profile
+   * @returns {Promise<string>} - API base URL without trailing slash
+   */
+  async getApiBase() {
+    const profile = await settingsService.getActiveServerProfile();
+    return profile.url;
+  }
+
+  /**
+   * Get the transport for the active server profile
+   * @returns {Promise<SyncTransport>} - CouchTransport for CouchDB URLs, MemoryTransport for
+   *   `memory://` URLs, RestTransport otherwise
+   * @private
+   */
+  async _getTransport() {
+    this._throwIfCancelled();
+    
+    const profile = await settingsService.getActiveServerProfile();
+    return this._getTransportForUrl(profile.url);
+  }
+
+  /**
+   * Get the transport serving a server URL, creating it on first use
+   * @param {string} url - Server profile URL
+   * @returns {SyncTransport} - Transport
+   * @private
+   */
+  _getTransportForUrl(url) {
+    if (!CouchTransport.handles(url) && !MemoryTransport.handles(url)) {
+      return this.restTransport;
+    }
+    
+    if (!this.transports.has(url)) {
+      const transport = CouchTransport.handles(url)
+        ? new CouchTransport(url, (requestUrl, options) => this._requestUrl(requestUrl, options))
+        : new MemoryTransport();
+      this.transports.set(url, transport);
+      console.log(`SyncService: Created ${transport.constructor.name} for ${url}`);
+    }
+    return this.transports.get(url);
+  }
+
+  /**
+   * Send a request to a complete URL of the active server and parse the JSON response
+   * Used by backends that authenticate with a session cookie, such as CouchDB.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<any>} - Parsed response body, or null for empty responses
+   * @throws {Error} - With a `status` property when the server answered with an error,
+   *   and `authRequired` set when the user has to sign in
+   * @private
+   */
+  async _requestUrl(url, options = {}) {
+    this._throwIfCancelled();
+    
+    const profile = await settingsService.getActiveServerProfile();
+    const signal = this.abortController ? this.abortController.signal : undefined;
+    const response = await fetch(url, { signal, credentials: 'include', ...options });
+    
+    return this._parseResponse(profile, response, Boolean(profile.auth));
+  }
+
+  /**
+   * Send a request to the active server and parse the JSON response
+   * Signed-in requests carry the profile's bearer token. An expired token is refreshed
+   * before the request, and a 401 response is retried once with a refreshed token.
+   * @param {string} path - Endpoint path starting with '/'
+   * @param {Object} options - fetch options
+   * @returns {Promise<any>} - Parsed response body, or null for empty responses
+   * @throws {Error} - With a `status` property when the server answered with an error,
+   *   and `authRequired` set when the user has to sign in again
+   * @private
+   */
+  async _request(path, options = {}) {
+    this._throwIfCancelled();
+    
+    const profile = await settingsService.getActiveServerProfile();
+    let auth = profile.auth || null;
+    
+    if (auth && auth.refreshToken && auth.expiresAt && 
+        auth.expiresAt - SyncService.TOKEN_EXPIRY_MARGIN_MS <= Date.now()) {
+      auth = await this._refreshTokens(profile);
+    }
+    
+    let response = await this._send(profile, path, options, auth);
+    
+    if (response.status === 401 && auth && auth.refreshToken) {
+      auth = await this._refreshTokens(profile);
+      response = await this._send(profile, path, options, auth);
+    }
+    
+    return this._parseResponse(profile, response, Boolean(auth));
+  }
+
+  /**
+   * Turn a server response into its parsed body or an error
+   * @param {Object} profile - Server profile the request went to
+   * @param {Response} response - Raw response
+   * @param {boolean} signedIn - Whether the request was sent with credentials
+   * @returns {Promise<any>} - Parsed response body, or null for empty responses
+   * @throws {Error} - With a `status` property when the server answered with an error,
+   *   and `authRequired` set when the user has to sign in
+   * @private
+   */
+  _parseResponse(profile, response, signedIn) {
+    if (response.status === 401) {
+      throw this._authRequired(profile, signedIn 
+        ? `Your session on ${profile.name} has expired. Please sign in again.` 
+        : `${profile.name} requires you to sign in before syncing.`);
+    }
+    
+    if (!response.ok) {
+      const error = new Error(`Server responded with ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    if (response.status === 204) {
+      return null;
+    }
+    
+    return response.json();
+  }
+
+  /**
+   * Send one HTTP request to a server profile
+   * @param {Object} profile - Server profile
+   * @param {string} path - Endpoint path starting with '/'
+   * @param {Object} options - fetch options
+   * @param {Object|null} auth - Tokens to authenticate with
+   * @returns {Promise<Response>} - Raw response
+   * @private
+   */
+  _send(profile, path, options, auth) {
+    const signal = this.abortController ? this.abortController.signal : undefined;
+    const headers = { ...(options.headers || {}) };
+    
+    if (auth && auth.accessToken) {
+      headers.Authorization = `Bearer ${auth.accessToken}`;
+    }
+    
+    return fetch(`${profile.url}${path}`, { signal, ...options, headers });
+  }
+  
+  /**
+   * Register a listener called when the user has to sign in to a server
+   * Listeners receive { profileId, profileName, message }.
+   * @param {Function} listener - Called once per server until the user signs in
+   * @returns {Function} - Removes the listener
+   */
+  addAuthListener(listener) {
+    this.authListeners.add(listener);
+    return () => this.authListeners.delete(listener);
+  }
+  
+  /**
+   * Check whether an error means the user has to sign in
+   * @param {Error} error - Error thrown by a sync operation
+   * @returns {boolean} - True for authentication failures
+   */
+  isAuthError(error) {
+    return Boolean(error && error.authRequired);
+  }
+  
+  /**
+   * Tell listeners that signing in is required and build the error to throw
+   * Listeners are told only once per server, so background syncs don't keep prompting.
+   * @param {Object} profile - Server profile
+   * @param {string} message - Message for the user
+   * @returns {Error} - Error with status 401 and `authRequired` set
+   * @private
+   */
+  _authRequired(profile, message) {
+    if (!this.authRequiredProfiles.has(profile.id)) {
+      this.authRequiredProfiles.add(profile.id);
+      const event = { profileId: profile.id, profileName: profile.name, message };
+      
+      this.authListeners.forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error('SyncService: Error in auth listener:', error);
+        }
+      });
+    }
+    
+    console.warn(`SyncService: ${message}`);
+    const error = new Error(message);
+    error.status = 401;
+    error.authRequired = true;
+    return error;
+  }
+  
+  /**
+   * Sign in to a server and store its token pair
+   * Sends `POST /auth/login` with `{ username, password }`; the server answers with
+   * `{ access_token, refresh_token, expires_in }`. CouchDB servers start a cookie
+   * session instead, and only the username is stored.
+   * @param {string} profileId - Server profile ID
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<void>}
+   * @throws {Error} - When the credentials are rejected or the server cannot be reached
+   */
+  async login(profileId, username, password) {
+    const profile = await settingsService.getServerProfile(profileId);
+    if (!profile) {
+      throw new Error(`Server profile ${profileId} not found`);
+    }
+    if (MemoryTransport.handles(profile.url)) {
+      throw new Error('In-memory servers do not require signing in');
+    }
+    
+    if (CouchTransport.handles(profile.url)) {
+      try {
+        await this._getTransportForUrl(profile.url).login(username, password);
+      } catch (error) {
+        throw error.status === 401 
+          ? new Error('Invalid username or password') 
+          : error;
+      }
+      
+      await settingsService.saveAuthTokens(profile.id, {
+        accessToken: null,
+        refreshToken: null,
+        expiresAt: null,
+        username
+      });
+      this.authRequiredProfiles.delete(profile.id);
+      console.log(`SyncService: Started CouchDB session on ${profile.name} as ${username}`);
+      return;
+    }
+    
+    const signal = this.abortController ? this.abortController.signal : undefined;
+    const response = await fetch(`${profile.url}/auth/login`, {
+      signal,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ username, password })
+    });
+    
+    if (!response.ok) {
+      throw new Error(response.status === 401 || response.status === 403
+        ? 'Invalid username or password'
+        : `Server responded with ${response.status}: ${response.statusText}`);
+    }
+    
+    const tokens = this._parseTokens(await response.json(), username);
+    await settingsService.saveAuthTokens(profile.id, tokens);
+    this.authRequiredProfiles.delete(profile.id);
+    
+    console.log(`SyncService: Signed in to ${profile.name} as ${username}`);
+  }
+  
+  /**
+   * Sign out of a server by forgetting its tokens
+   * @param {string} profileId - Server profile ID
+   * @returns {Promise<void>}
+   */
+  async logout(profileId) {
+    const profile = await settingsService.getServerProfile(profileId);
+    
+    if (profile && CouchTransport.handles(profile.url)) {
+      try {
+        await this._getTransportForUrl(profile.url).logout();
+      } catch (error) {
+        console.warn('SyncService: Could not end CouchDB session:', error);
+      }
+    }
+    
+    await settingsService.clearAuthTokens(profileId);
+    console.log(`SyncService: Signed out of server profile ${profileId}`);
+  }
+  
+  /**
+   * Exchange the refresh token of a profile for a new token pair
+   * Concurrent callers for the same profile share one refresh request.
+   * @param {Object} profile - Server profile with its current tokens
+   * @returns {Promise<Object>} - The new tokens
+   * @private
+   */
+  _refreshTokens(profile) {
+    if (!this.refreshPromises.has(profile.id)) {
+      this.refreshPromises.set(profile.id, this._requestTokenRefresh(profile).finally(() => {
+        this.refreshPromises.delete(profile.id);
+      }));
+    }
+    return this.refreshPromises.get(profile.id);
+  }
+  
+  /**
+   * Send `POST /auth/refresh` with `{ refresh_token }` and store the answer
+   * A rejected refresh token signs the user out of the profile.
+   * @param {Object} profile - Server profile with its current tokens
+   * @returns {Promise<Object>} - The new tokens
+   * @private
+   */
+  async _requestTokenRefresh(profile) {
+    const auth = profile.auth;
+    const signal = this.abortController ? this.abortController.signal : undefined;
+    const response = await fetch(`${profile.url}/auth/refresh`, {
+      signal,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ refresh_token: auth.refreshToken })
+    });
+    
+    if (response.status === 400 || response.status === 401 || response.status === 403) {
+      await settingsService.clearAuthTokens(profile.id);
+      throw this._authRequired(profile, `Your session on ${profile.name} has expired. Please sign in again.`);
+    }
+    
+    if (!response.ok) {
+      const error = new Error(`Server responded with ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    // Servers that don't rotate refresh tokens only send a new access token
+    const tokens = this._parseTokens(await response.json(), auth.username);
+    tokens.refreshToken = tokens.refreshToken || auth.refreshToken;
+    await settingsService.saveAuthTokens(profile.id, tokens);
+    
+    console.log(`SyncService: Refreshed access token for ${profile.name}`);
+    return tokens;
+  }
+  
+  /**
+   * Convert a token response into the stored token format
+   * @param {Object} data - Response with access_token, refresh_token and expires_in (seconds)
+   * @param {string} username - User the tokens belong to
+   * @returns {Object} - { accessToken, refreshToken, expiresAt, username }
+   * @private
+   */
+  _parseTokens(data, username) {
+    if (!data || !data.access_token) {
+      throw new Error('Server response missing access token');
+    }
+    
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || null,
+      expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+      username
+    };
+  }
+
+  /**
+   * Switch synchronization to another server profile
+   * Restaurants swap their serverId to the mapping kept for the new profile,
+   * so IDs issued by one server are never sent to another.
+   * @param {string} profileId - Profile to activate
+   * @returns {Promise<Object>} - The activated profile
+   */
+  async switchServerProfile(profileId) {
+    if (this.isSyncing) {
+      throw new Error('Cannot switch server while a sync is in progress');
+    }
+    
+    const previous = await settingsService.getActiveServerProfile();
+    if (previous.id === profileId) {
+      return previous;
+    }
+    
+    const profile = await settingsService.setActiveServerProfile(profileId);
+    await restaurantRepository.applyServerProfile(previous.id, profile.id);
+    
+    console.log(`SyncService: Switched server from ${previous.name} to ${profile.name}`);
+    return profile;
+  }
+
+  /**
+   * Create or update a server profile
+   * Pointing a profile at another URL makes it another server, so the server IDs,
+   * tombstones and server-specific outbox entries recorded for it are forgotten.
+   * @param {Object} profile - Profile data as taken by SettingsService.saveServerProfile
+   * @returns {Promise<Object>} - The saved profile
+   */
+  async saveServerProfile(profile) {
+    const previous = profile.id ? await settingsService.getServerProfile(profile.id) : null;
+    const url = (profile.url || '').trim().replace(/\/+$/, '');
+    if (previous && previous.url !== url && this.isSyncing) {
+      throw new Error('Cannot change the server of a profile while a sync is in progress');
+    }
+    
+    const saved = await settingsService.saveServerProfile(profile);
+    
+    if (previous && previous.url !== saved.url) {
+      await this._forgetServerProfile(saved.id);
+    }
+    return saved;
+  }
+
+  /**
+   * Delete a server profile with its server IDs, tombstones and server-specific outbox entries
+   * Left behind, its queued deletes would be held forever as belonging to another profile.
+   * @param {string} profileId - Profile ID (the active profile cannot be deleted)
+   * @returns {Promise<void>}
+   */
+  async deleteServerProfile(profileId) {
+    await settingsService.deleteServerProfile(profileId);
+    await this._forgetServerProfile(profileId);
+  }
+
+  /**
+   * Forget what the local database knows about the server of a profile
+   * @param {string} profileId - Server profile ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forgetServerProfile(profileId) {
+    const restaurants = await restaurantRepository.forgetServerProfile(profileId);
+    const tombstones = await tombstoneRepository.deleteForProfile(profileId);
+    const entries = await syncOutboxRepository.deleteForProfile(profileId);
+    this.curatorEndpoints.delete(profileId);
+    this.photoEndpoints.delete(profileId);
+    
+    console.log(`SyncService: Forgot server profile ${profileId}: IDs of ${restaurants} restaurants, ${tombstones} tombstones, ${entries} outbox entries`);
+  }
+
   /**
    * Import restaurants from server to local database with improved deduplication
+   * Uses the change cursor of the active server profile to fetch only what changed
+   * when the server supports it, and falls back to a full import otherwise.
+   * Restaurants deleted locally are not brought back, and restaurants removed on the
+   * server are removed locally (or kept as local-only when they have unsent edits).
+   * Restaurants outside the sync rules are not imported, and local copies of them
+   * without unsent edits are removed.
+   * Every decision is recorded in `results.plan`; in dry-run mode nothing is written.
+   * @param {Object} options - Import options
+   * @param {boolean} options.full - Ignore the stored cursor and import everything
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {Set<string>} options.exclude - Plan item keys to leave untouched
    * @returns {Promise<Object>} - Import results
    */
-  async importRestaurants() {
-    try {
-      console.log('SyncService: Importing restaurants from server...');
+  async importRestaurants(options = {}) {
+    try {
+      const { full = false, dryRun = false, exclude = new Set() } = options;
+      console.log(`SyncService: ${dryRun ? 'Previewing' : 'Importing'} restaurants from server...`);
+      
+      const cursor = full ? null : await settingsService.getSyncCursor();
+      
+      // Fetch restaurants from server
+      this.emitProgress({ phase: 'fetch' });
+      const transport = await this._getTransport();
+      const changes = await transport.getChangesSince(cursor);
+      const remoteRestaurants = changes.restaurants;
+      console.log(`SyncService: Fetched ${remoteRestaurants.length} restaurants from server (${changes.isDelta ? 'delta' : 'full'})`);
+      
+      // Restaurant writes during the import skip their own storage checks
+      if (!dryRun && remoteRestaurants.length > 0) {
+        await databaseService.ensureStorageAvailable();
+      }
+      
+      // A full import can overwrite and remove many restaurants at once
+      this.importSnapshotPending = !changes.isDelta && !dryRun;
+      
+      // Process each restaurant and add/update in local database
+      const results = {
+        mode: changes.isDelta ? 'delta' : 'full',
+        dryRun,
+        added: 0,
+        updated: 0,
+        skipped: 0,
+        conflicts: 0,
+        removed: 0,
+        detached: 0,
+        excluded: 0,
+        outOfScope: 0,
+        removedRestaurants: [],
+        photos: { downloaded: 0, removed: 0 },
+        plan: [],
+        errors: 0
+      };
+      
+      // Curators first, so restaurants are attributed to them instead of "Unknown"
+      try {
+        results.curators = await this.importCurators(remoteRestaurants, { dryRun });
+      } catch (curatorError) {
+        if (this.isCancelError(curatorError)) throw curatorError;
+        console.error('SyncService: Error importing curators:', curatorError);
+        results.curators = { error: curatorError.message };
+      }
+      
+      const profile = await settingsService.getActiveServerProfile();
+      const deletedServerIds = await tombstoneRepository.getDeletedServerIds(profile.id);
+      const scope = await this.loadSyncScope();
+      
+      // Deltas are matched with indexed lookups instead of loading every local row
+      const matcher = changes.isDelta ? this._createIndexedMatcher() : await this._createFullMatcher();
+      
+      // Track names processed in this batch to avoid duplicates within the same import
+      const processedNames = new Set();
+      
+      for (const [index, remoteRestaurant] of remoteRestaurants.entries()) {
+        this._throwIfCancelled();
+        this.emitProgress({
+          phase: 'import',
+          processed: index,
+          total: remoteRestaurants.length,
+          current: remoteRestaurant.name || null
+        });
+        
+        const planItem = {
+          key: remoteRestaurant.id ? `import:${remoteRestaurant.id}` : null,
+          direction: 'import',
+          name: remoteRestaurant.name || '(unnamed)',
+          serverId: remoteRestaurant.id || null,
+          restaurantId: null
+        };
+        const record = (action, reason) => results.plan.push({ ...planItem, action, reason });
+        
+        try {
+          // Skip restaurants without essential data
+          if (!remoteRestaurant.name || !remoteRestaurant.id) {
+            console.warn('SyncService: Skipping restaurant with missing name or ID');
+            results.skipped++;
+            record('skip', 'Missing name or server ID');
+            continue;
+          }
+          
+          // Deleted locally; the queued delete will remove it from the server
+          if (deletedServerIds.has(String(remoteRestaurant.id))) {
+            console.log(`SyncService: Skipping restaurant "${remoteRestaurant.name}" deleted locally (Server ID: ${remoteRestaurant.id})`);
+            results.skipped++;
+            record('skip', 'Deleted locally');
+            continue;
+          }
+          
+          if (exclude.has(planItem.key)) {
+            results.skipped++;
+            results.excluded++;
+            record('skip', 'Excluded from this sync');
+            continue;
+          }
+          
+          if (!this.isRemoteInScope(scope, remoteRestaurant)) {
+            const localCopy = await matcher.findByServerId(remoteRestaurant.id);
+            results.outOfScope++;
+            planItem.restaurantId = localCopy ? localCopy.id : null;
+            
+            if (!localCopy) {
+              results.skipped++;
+              record('skip', 'Outside the sync rules');
+            } else if (await this._hasLocalChanges(localCopy)) {
+              results.skipped++;
+              record('keep', 'Outside the sync rules; kept because of unsent local edits');
+            } else {
+              if (!dryRun) {
+                await this._snapshotBeforeOverwrite();
+                await restaurantRepository.deleteRestaurant(localCopy.id, { fromSync: true });
+              }
+              record('delete', 'Outside the sync rules; local copy removed');
+            }
+            continue;
+          }
+          
+          const normalizedName = this.normalizeText(remoteRestaurant.name);
+          
+          if (processedNames.has(normalizedName)) {
+            console.log(`SyncService: Skipping duplicate restaurant "${remoteRestaurant.name}" in current import batch`);
+            results.skipped++;
+            record('skip', 'Duplicate name in this import');
+            continue;
+          }
+          processedNames.add(normalizedName);
+          
+          // Match by server ID first
+          const existingRestaurant = await matcher.findByServerId(remoteRestaurant.id);
+          
+          if (existingRestaurant) {
+            planItem.restaurantId = existingRestaurant.id;
+            if (!dryRun && this._fingerprint(this.createSnapshotFromRemote(remoteRestaurant)) !== existingRestaurant.syncBaseVersion) {
+              await this._snapshotBeforeOverwrite();
+            }
+            const merge = await this._mergeIntoExisting(existingRestaurant, remoteRestaurant, dryRun);
+            results[merge.outcome]++;
+            
+            // Restaurants imported before curators were synced have none assigned
+            if (!dryRun && !existingRestaurant.curatorId && remoteRestaurant.curator) {
+              const curatorId = await this.findOrCreateCurator(remoteRestaurant.curator);
+              if (curatorId) {
+                await restaurantRepository.updateRestaurantCurator(existingRestaurant.id, curatorId);
+              }
+            }
+            record(SyncService.PLAN_ACTIONS[merge.outcome], merge.reason);
+            
+            if (!dryRun) {
+              await this._importPhotos(existingRestaurant.id, remoteRestaurant, results);
+            }
+            continue;
+          }
+          
+          // Then match by normalized name
+          const matchingRestaurants = await matcher.findByName(remoteRestaurant.name);
+          
+          const localMatch = matchingRestaurants.find(r => r.source === 'local' && !r.serverId);
+          if (localMatch) {
+            // Link the local restaurant to the server record without overwriting local content
+            if (!dryRun) {
+              await restaurantRepository.linkRestaurantToServer(
+                localMatch.id, 
+                remoteRestaurant.id, 
+                this._createSyncBase(this.createSnapshotFromRemote(remoteRestaurant), remoteRestaurant.revision)
+              );
+            }
+            matcher.remember({ ...localMatch, serverId: remoteRestaurant.id });
+            
+            console.log(`SyncService: Linked local restaurant ${localMatch.name} (ID: ${localMatch.id}) with server ID ${remoteRestaurant.id}`);
+            results.skipped++;
+            planItem.restaurantId = localMatch.id;
+            record('skip', 'Linked to the local restaurant with the same name; local content kept');
+            continue;
+          }
+          
+          if (matchingRestaurants.length > 0) {
+            // Same name already present with a different server ID - avoid duplicating it
+            console.log(`SyncService: Skipping duplicate restaurant "${remoteRestaurant.name}" (Server ID: ${remoteRestaurant.id})`);
+            results.skipped++;
+            record('skip', 'A restaurant with the same name already exists');
+            continue;
+          }
+          
+          // No match - create a new remote restaurant
+          const restaurantId = dryRun ? null : await this._createLocalFromRemote(remoteRestaurant);
+          results.added++;
+          record('add', 'New on the server');
+          console.log(`SyncService: Added restaurant ${remoteRestaurant.name} (Server ID: ${remoteRestaurant.id}, Local ID: ${restaurantId})`);
+          
+          if (!dryRun) {
+            await this._importPhotos(restaurantId, remoteRestaurant, results);
+          }
+          
+          matcher.remember({
+            id: restaurantId,
+            name: remoteRestaurant.name,
+            source: 'remote',
+            serverId: remoteRestaurant.id
+          });
+        } catch (error) {
+          console.error(`SyncService: Error processing restaurant ${remoteRestaurant.name}:`, error);
+          results.errors++;
+          record('error', error.message);
+        }
+      }
+      
+      // Apply removals listed by the server, or inferred from a complete list
+      if (changes.isDelta) {
+        await this._applyRemoteRemovals(changes.deleted, results, { dryRun, exclude });
+      } else if (results.errors === 0) {
+        await this._applyRemoteRemovals(await this._findRemovedServerIds(remoteRestaurants), results, { dryRun, exclude });
+      }
+      
+      // Advance the cursor only when every change was applied, so failures and
+      // excluded changes come back in the next sync
+      if (dryRun) {
+        console.log('SyncService: Restaurant import preview completed with results:', results);
+        return results;
+      }
+      
+      if (changes.cursor && results.errors === 0 && results.excluded === 0) {
+        await settingsService.updateSyncCursor(changes.cursor);
+      } else if (!changes.cursor && cursor) {
+        // The server stopped returning cursors; forget the stale one
+        await settingsService.updateSyncCursor(null);
+      }
+      
+      console.log('SyncService: Restaurant import completed with results:', results);
+      return results;
+    } catch (error) {
+      console.error('SyncService: Error importing restaurants:', error);
+      throw error;
+    } finally {
+      this.importSnapshotPending = false;
+    }
+  }
+  
+  /**
+   * Save an 'import' safety snapshot before the first write of a full import that
+   * overwrites or removes local data
+   * Imports that only add restaurants, or find nothing changed, take no snapshot. A
+   * snapshot that can't be saved, for example near the storage quota, doesn't stop
+   * the import.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _snapshotBeforeOverwrite() {
+    if (!this.importSnapshotPending) {
+      return;
+    }
+    this.importSnapshotPending = false;
+    
+    try {
+      await snapshotService.createSnapshot('import', { skipIfUnchanged: true });
+    } catch (error) {
+      console.warn('SyncService: Could not save a snapshot before the import, continuing without one:', error);
+    }
+  }
+  
+  /**
+   * Download the photos listed in a server restaurant record
+   * A failed download counts as an import error, so a delta cursor is not advanced
+   * past the restaurant and its photos are fetched again by the next sync.
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @param {Object} results - Import results to update
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _importPhotos(restaurantId, remoteRestaurant, results) {
+    // Servers without photo support don't list photos
+    if (!Array.isArray(remoteRestaurant.photos)) {
+      return;
+    }
+    
+    try {
+      this.emitProgress({ phase: 'photos', current: remoteRestaurant.name });
+      const photoResults = await this.pullRestaurantPhotos(restaurantId, remoteRestaurant.photos);
+      results.photos.downloaded += photoResults.downloaded;
+      results.photos.removed += photoResults.removed;
+    } catch (error) {
+      if (this.isCancelError(error)) throw error;
+      console.error(`SyncService: Error downloading photos of ${remoteRestaurant.name}:`, error);
+      results.errors++;
+    }
+  }
+  
+  /**
+   * Normalizes text for comparison (removes spaces, converts to lowercase)
+   * @param {string} text - The text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalizeText(text) {
+    if (!text) return '';
+    return text.toLowerCase().trim()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // Remove accents
+      .replace(/[^\w\s]/g, '') // Remove punctuation
+      .replace(/\s+/g, ''); // Remove spaces
+  }
+  
+  /**
+   * Find server IDs of local restaurants missing from a complete server list
+   * @param {Array} remoteRestaurants - Every restaurant the server returned
+   * @returns {Promise<Array>} - Server IDs no longer present on the server
+   * @private
+   */
+  async _findRemovedServerIds(remoteRestaurants) {
+    const db = await databaseService.ensureDatabase();
+    const remoteIds = new Set(remoteRestaurants
+      .filter(restaurant => restaurant && restaurant.id)
+      .map(restaurant => String(restaurant.id)));
+    
+    const linked = await db.restaurants.filter(restaurant => Boolean(restaurant.serverId)).toArray();
+    
+    // An empty list is more likely a server problem than every restaurant being deleted
+    if (remoteIds.size === 0 && linked.length > 0) {
+      console.warn('SyncService: Server returned no restaurants, skipping removal detection');
+      return [];
+    }
+    
+    return linked
+      .map(restaurant => restaurant.serverId)
+      .filter(serverId => !remoteIds.has(String(serverId)));
+  }
+  
+  /**
+   * Apply server-side removals to the local database
+   * Restaurants without local changes are deleted. Restaurants with unsent edits or an
+   * open conflict are kept as local-only records so the edits are not lost.
+   * @param {Array} serverIds - Server IDs removed on the server
+   * @param {Object} results - Import results to report into
+   * @param {Object} options - { dryRun, exclude } as passed to importRestaurants
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyRemoteRemovals(serverIds, results, options = {}) {
+    const { dryRun = false, exclude = new Set() } = options;
+    const matcher = this._createIndexedMatcher();
+    
+    for (const [index, serverId] of serverIds.entries()) {
+      this._throwIfCancelled();
+      this.emitProgress({ phase: 'removals', processed: index, total: serverIds.length });
+      
+      try {
+        const localRecord = await matcher.findByServerId(serverId);
+        if (!localRecord) continue;
+        
+        const conflict = await syncConflictRepository.getOpenConflictForRestaurant(localRecord.id);
+        const hasLocalChanges = await this._hasLocalChanges(localRecord, conflict);
+        const planItem = {
+          key: `removal:${serverId}`,
+          direction: 'import',
+          name: localRecord.name,
+          serverId,
+          restaurantId: localRecord.id
+        };
+        
+        if (exclude.has(planItem.key)) {
+          results.excluded++;
+          results.plan.push({ ...planItem, action: 'skip', reason: 'Removed on the server; excluded from this sync' });
+          continue;
+        }
+        
+        results.plan.push(hasLocalChanges
+          ? { ...planItem, action: 'keep', reason: 'Removed on the server; kept as local-only because of unsent local edits' }
+          : { ...planItem, action: 'delete', reason: 'Removed on the server' });
+        
+        if (dryRun) {
+          results[hasLocalChanges ? 'detached' : 'removed']++;
+          continue;
+        }
+        
+        await this._snapshotBeforeOverwrite();
+        if (hasLocalChanges) {
+          await restaurantRepository.detachFromServer(localRecord.id);
+          await syncOutboxRepository.enqueue('create', localRecord.id);
+          if (conflict) {
+            await syncConflictRepository.markResolved(conflict.id, { removedOnServer: true });
+          }
+          results.detached++;
+        } else {
+          await restaurantRepository.deleteRestaurant(localRecord.id, { fromSync: true });
+          results.removed++;
+        }
+        
+        results.removedRestaurants.push({
+          restaurantId: localRecord.id,
+          name: localRecord.name,
+          serverId,
+          action: hasLocalChanges ? 'kept' : 'deleted'
+        });
+        console.log(`SyncService: Restaurant ${localRecord.name} was removed on the server (${hasLocalChanges ? 'kept locally' : 'deleted locally'})`);
+      } catch (error) {
+        console.error(`SyncService: Error applying server removal of ${serverId}:`, error);
+        results.errors++;
+      }
+    }
+  }
+  
+  /**
+   * Check whether a synced restaurant has local changes that removing it would lose
+   * @param {Object} localRecord - Local restaurant record
+   * @param {Object|null} conflict - Its open conflict, when already loaded
+   * @returns {Promise<boolean>} - True for unsent edits or an open conflict
+   * @private
+   */
+  async _hasLocalChanges(localRecord, conflict = undefined) {
+    if (localRecord.source === 'local') {
+      return true;
+    }
+    
+    const openConflict = conflict === undefined
+      ? await syncConflictRepository.getOpenConflictForRestaurant(localRecord.id)
+      : conflict;
+    return Boolean(openConflict);
+  }
+  
+  /**
+   * Create a matcher backed by in-memory maps of every local restaurant
+   * Used for full imports, where most local rows are touched anyway.
+   * @returns {Promise<Object>} - Matcher with findByServerId, findByName and remember
+   * @private
+   */
+  async _createFullMatcher() {
+    const db = await databaseService.ensureDatabase();
+    const byServerId = new Map();
+    const byName = new Map();
+    
+    const remember = restaurant => {
+      if (restaurant.serverId) {
+        byServerId.set(restaurant.serverId.toString(), restaurant);
+      }
+      const normalizedName = this.normalizeText(restaurant.name);
+      if (!byName.has(normalizedName)) {
+        byName.set(normalizedName, []);
+      }
+      byName.get(normalizedName).push(restaurant);
+    };
+    
+    // Restaurants in the trash are local-only and must not absorb server records
+    const allRestaurants = await db.restaurants.filter(restaurant => !restaurant.deletedAt).toArray();
+    allRestaurants.forEach(remember);
+    
+    console.log(`SyncService: Indexed ${allRestaurants.length} local restaurants for full import`);
+    
+    return {
+      findByServerId: async serverId => byServerId.get(serverId.toString()) || null,
+      findByName: async name => byName.get(this.normalizeText(name)) || [],
+      remember
+    };
+  }
+  
+  /**
+   * Create a matcher that queries the database indexes for each remote record
+   * Used for delta imports so only the affected rows are read. Name lookups compare
+   * normalized names like the full matcher; the IDs by normalized name are read in
+   * one scan the first time a record has to be matched by name.
+   * @returns {Object} - Matcher with findByServerId, findByName and remember
+   * @private
+   */
+  _createIndexedMatcher() {
+    const remembered = new Map();
+    let idsByName = null;
+    
+    return {
+      findByServerId: async serverId => {
+        const db = await databaseService.ensureDatabase();
+        // Server IDs may have been stored as numbers or strings
+        const candidates = [serverId, String(serverId)];
+        if (!isNaN(Number(serverId))) candidates.push(Number(serverId));
+        
+        return db.restaurants.where('serverId').anyOf(candidates).first();
+      },
+      findByName: async name => {
+        const db = await databaseService.ensureDatabase();
+        const normalizedName = this.normalizeText(name);
+        
+        if (!idsByName) {
+          idsByName = new Map();
+          await db.restaurants.each(restaurant => {
+            const key = this.normalizeText(restaurant.name);
+            idsByName.set(key, [...(idsByName.get(key) || []), restaurant.id]);
+          });
+        }
+        
+        const matches = await db.restaurants.bulkGet(idsByName.get(normalizedName) || []);
+        
+        return [...matches, ...(remembered.get(normalizedName) || [])]
+          .filter(restaurant => restaurant && !restaurant.deletedAt && this.normalizeText(restaurant.name) === normalizedName);
+      },
+      remember: restaurant => {
+        const normalizedName = this.normalizeText(restaurant.name);
+        remembered.set(normalizedName, [...(remembered.get(normalizedName) || []), restaurant]);
+      }
+    };
+  }
+  
+  /**
+   * Queue local restaurants that were never synced and have no outbox entry yet
+   * Covers restaurants created before the outbox existed; new ones are queued when saved.
+   * Restaurants outside the sync rules are left unqueued. Photos synced restaurants
+   * still have to send are queued as well.
+   * @param {Object} options - Queue options
+   * @param {boolean} options.dryRun - Only report what would be queued
+   * @param {Set<string>} options.exclude - Plan item keys to leave unqueued
+   * @returns {Promise<Object>} - Queue results with the plan of uploads and the number of photo uploads queued
+   */
+  async queueUnsyncedRestaurants(options = {}) {
+    const { dryRun = false, exclude = new Set() } = options;
+    
+    try {
+      this.emitProgress({ phase: 'queue' });
+      const unsyncedRestaurants = await restaurantRepository.getUnsyncedRestaurants();
+      const scope = await this.loadSyncScope();
+      const plan = [];
+      let queued = 0;
+      
+      for (const restaurant of unsyncedRestaurants) {
+        if (await syncOutboxRepository.hasUnsentChanges(restaurant.id)) {
+          continue;
+        }
+        
+        const key = `queue:${restaurant.id}`;
+        const planItem = { key, direction: 'export', name: restaurant.name, serverId: null, restaurantId: restaurant.id };
+        
+        if (exclude.has(key)) {
+          plan.push({ ...planItem, action: 'skip', reason: 'Excluded from this sync' });
+          continue;
+        }
+        
+        if (!this.isLocalInScope(scope, restaurant)) {
+          plan.push({ ...planItem, action: 'skip', reason: 'Outside the sync rules' });
+          continue;
+        }
+        
+        plan.push({ ...planItem, action: 'add', reason: 'Created locally, never uploaded' });
+        
+        if (dryRun || await syncOutboxRepository.enqueue('create', restaurant.id)) {
+          queued++;
+        }
+      }
+      
+      if (queued > 0) {
+        console.log(`SyncService: ${dryRun ? 'Would queue' : 'Queued'} ${queued} unsynced restaurants for upload`);
+      }
+      
+      const photoUploads = dryRun ? 0 : await this._queueUnsentPhotos();
+      
+      return { success: true, queued, photoUploads, plan };
+    } catch (error) {
+      console.error('SyncService: Error queueing unsynced restaurants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue photo uploads for synced restaurants with photos the active server doesn't have
+   * Catches photos stored outside a create or update push, such as photos added to a
+   * restaurant that was already in sync. Restaurants with a queued create or update get
+   * their photos queued after that push, and dead photo uploads wait for a manual retry.
+   * @returns {Promise<number>} - Number of photo uploads queued
+   * @private
+   */
+  async _queueUnsentPhotos() {
+    const profile = await settingsService.getActiveServerProfile();
+    if (this.photoEndpoints.get(profile.id) === false) {
+      return 0;
+    }
+    
+    const restaurants = await restaurantRepository.getRestaurantsWithUnsentPhotos(profile.id);
+    const deadUploads = new Set((await syncOutboxRepository.getDeadEntries())
+      .filter(entry => entry.operation === 'photos')
+      .map(entry => entry.restaurantId));
+    let queued = 0;
+    
+    for (const restaurant of restaurants) {
+      if (deadUploads.has(restaurant.id) || await syncOutboxRepository.hasUnsentChanges(restaurant.id)) {
+        continue;
+      }
+      
+      if (await syncOutboxRepository.enqueue('photos', restaurant.id, { serverProfileId: profile.id, name: restaurant.name })) {
+        queued++;
+      }
+    }
+    
+    if (queued > 0) {
+      console.log(`SyncService: Queued photo uploads for ${queued} restaurants`);
+    }
+    
+    return queued;
+  }
+  
+  /**
+   * Get a display name for the restaurant of an outbox entry
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<string>} - Restaurant name, or a description for deleted restaurants
+   */
+  async getOutboxEntryName(entry) {
+    if (entry.name) {
+      return entry.name;
+    }
+    
+    const restaurant = await restaurantRepository.getRestaurantById(entry.restaurantId);
+    if (restaurant) {
+      return restaurant.name;
+    }
+    
+    return entry.serverId ? `Server restaurant ${entry.serverId}` : `Restaurant ${entry.restaurantId}`;
+  }
+  
+  /**
+   * Send one outbox entry to the server and remove it from the outbox
+   * Creates and updates push the restaurant's current content: a POST when it has no
+   * server ID yet, a PUT otherwise. If the restaurant is edited while the request is
+   * in flight it stays marked as modified and is queued again. Photos are sent by a
+   * separate 'photos' entry queued after the restaurant, so an interrupted photo
+   * upload is retried on its own.
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object|null>} - Photo upload entry queued as a follow-up, if any
+   * @throws {Error} - When the server rejects the operation or cannot be reached
+   */
+  async pushOutboxEntry(entry) {
+    if (entry.operation === 'photos') {
+      await this.pushRestaurantPhotos(entry.restaurantId);
+      await syncOutboxRepository.markSucceeded(entry.id);
+      await restaurantRepository.clearSyncError(entry.restaurantId);
+      return null;
+    }
+    
+    const transport = await this._getTransport();
+    
+    if (entry.operation === 'delete') {
+      try {
+        await transport.deleteRestaurant(entry.serverId);
+      } catch (error) {
+        // Already gone on the server
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+      
+      await syncOutboxRepository.markSucceeded(entry.id);
+      await tombstoneRepository.markConfirmed(entry.serverId, entry.serverProfileId);
+      console.log(`SyncService: Deleted server restaurant ${entry.serverId}`);
+      return null;
+    }
+    
+    const restaurant = await restaurantRepository.getRestaurantById(entry.restaurantId);
+    
+    // Deleted locally, in the trash or already in sync: nothing left to send
+    if (!restaurant || restaurant.deletedAt || restaurant.source === 'remote') {
+      await syncOutboxRepository.markSucceeded(entry.id);
+      return null;
+    }
+    
+    const snapshot = this.createSnapshotFromLocal(restaurant);
+    const payload = this._buildServerPayload(restaurant);
+    let serverId = restaurant.serverId;
+    
+    let responseData;
+    
+    if (serverId) {
+      try {
+        responseData = await transport.updateRestaurant(serverId, payload, restaurant.syncRevision || null);
+      } catch (error) {
+        if (error.status !== 409) {
+          throw error;
+        }
+        
+        // The next import records the conflict for the user to resolve
+        const conflictError = new Error('Changed on the server since the last sync; import to review the conflict');
+        conflictError.status = 409;
+        throw conflictError;
+      }
+    } else {
+      responseData = await transport.createRestaurant(payload);
+      if (!responseData || !responseData.id) {
+        throw new Error('Server response missing restaurant ID');
+      }
+      serverId = responseData.id;
+    }
+    
+    await syncOutboxRepository.markSucceeded(entry.id);
+    
+    const syncBase = this._createSyncBase(snapshot, responseData && responseData.revision);
+    const current = await restaurantRepository.getRestaurantById(entry.restaurantId);
+    
+    if (current && this._fingerprint(this.createSnapshotFromLocal(current)) !== syncBase.version) {
+      // Edited while the request was in flight: record what the server has and send the rest later
+      await restaurantRepository.linkRestaurantToServer(entry.restaurantId, serverId, syncBase);
+      await syncOutboxRepository.enqueue('update', entry.restaurantId);
+    } else if (current) {
+      await restaurantRepository.updateRestaurantSyncStatus(entry.restaurantId, serverId, syncBase);
+    }
+    
+    console.log(`SyncService: Restaurant ${restaurant.name} pushed to server with ID ${serverId}`);
+    return current ? this._queuePhotoUpload(current) : null;
+  }
+  
+  /**
+   * Queue a photo upload for a restaurant with photos the active server doesn't have
+   * @param {Object} restaurant - Restaurant with photos loaded
+   * @returns {Promise<Object|null>} - Queued outbox entry, or null when nothing is pending
+   * @private
+   */
+  async _queuePhotoUpload(restaurant) {
+    const profile = await settingsService.getActiveServerProfile();
+    if (this.photoEndpoints.get(profile.id) === false) {
+      return null;
+    }
+    
+    const hasNewPhotos = (restaurant.photos || []).some(photo => !this._getServerPhotoId(photo, profile.id));
+    const hasDeletes = (restaurant.photoDeletes || []).some(pending => pending.serverProfileId === profile.id);
+    
+    if (!hasNewPhotos && !hasDeletes) {
+      return null;
+    }
+    
+    const entryId = await syncOutboxRepository.enqueue('photos', restaurant.id, {
+      serverProfileId: profile.id,
+      name: restaurant.name
+    });
+    return entryId ? syncOutboxRepository.getEntry(entryId) : null;
+  }
+  
+  /**
+   * Get the ID a server profile gave to a photo
+   * @param {Object} photo - Photo record
+   * @param {string} profileId - Server profile ID
+   * @returns {string|number|null} - Server photo ID, or null when not uploaded there
+   * @private
+   */
+  _getServerPhotoId(photo, profileId) {
+    return (photo.serverPhotoIds && photo.serverPhotoIds[profileId]) || null;
+  }
+  
+  /**
+   * Upload the photos of a restaurant that the server doesn't have yet
+   * Photos removed locally are deleted on the server first. Photos whose content hash
+   * the server already lists are linked instead of uploaded. The rest is uploaded in
+   * chunks, and the progress is stored on the photo record so an interrupted upload
+   * continues with the next chunk. Servers without these endpoints are skipped:
+   * - `POST /restaurants/<id>/photos/uploads` with `{ contentHash, contentType, size, chunkCount }` returns `{ uploadId }`
+   * - `PUT /photo-uploads/<uploadId>/chunks/<index>` with `{ data }` sends one base64 chunk
+   * - `GET /photo-uploads/<uploadId>` returns `{ receivedChunks }` when resuming
+   * - `POST /photo-uploads/<uploadId>/complete` returns the photo as `{ id, hash }`
+   * @param {number} restaurantId - Local restaurant ID
+   * @returns {Promise<Object>} - { uploaded, linked, deleted }
+   */
+  async pushRestaurantPhotos(restaurantId) {
+    const results = { uploaded: 0, linked: 0, deleted: 0 };
+    const restaurant = await restaurantRepository.getRestaurantById(restaurantId);
+    
+    // Deleted locally, or the restaurant itself has not reached the server
+    if (!restaurant || !restaurant.serverId) {
+      return results;
+    }
+    
+    const profile = await settingsService.getActiveServerProfile();
+    if (this.photoEndpoints.get(profile.id) === false) {
+      return results;
+    }
+    
+    const transport = await this._getTransport();
+    
+    for (const pending of restaurant.photoDeletes || []) {
+      if (pending.serverProfileId !== profile.id) continue;
+      
+      try {
+        await transport.deletePhoto(restaurant.serverId, pending.serverPhotoId);
+      } catch (error) {
+        // Already gone on the server
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+      await restaurantRepository.clearPhotoDelete(restaurantId, pending);
+      results.deleted++;
+    }
+    
+    const newPhotos = restaurant.photos.filter(photo => !this._getServerPhotoId(photo, profile.id));
+    if (newPhotos.length > 0) {
+      let remotePhotos;
+      try {
+        remotePhotos = await transport.listPhotos(restaurant.serverId) || [];
+      } catch (error) {
+        if (!this._isPhotoEndpointMissing(error, profile)) {
+          throw error;
+        }
+        return results;
+      }
+      this.photoEndpoints.set(profile.id, true);
+      
+      const remoteByHash = new Map(remotePhotos
+        .filter(remote => remote && remote.hash)
+        .map(remote => [remote.hash, remote]));
+      
+      for (const [index, photo] of newPhotos.entries()) {
+        this._throwIfCancelled();
+        this.emitProgress({ phase: 'photos', processed: index, total: newPhotos.length, current: restaurant.name });
+        
+        const content = await this._readPhotoData(photo.photoData);
+        const contentHash = photo.contentHash || await this.computePhotoHash(content.bytes);
+        if (!photo.contentHash) {
+          await restaurantRepository.updatePhotoSyncState(photo.id, { contentHash });
+        }
+        
+        // Uploaded before, but the response was lost, or added by another device
+        const remote = remoteByHash.get(contentHash);
+        const serverPhotoId = remote
+          ? remote.id
+          : await this._uploadPhoto(transport, photo, content, contentHash, restaurant.serverId, profile);
+        if (!serverPhotoId) {
+          break;
+        }
+        
+        await restaurantRepository.updatePhotoSyncState(photo.id, {
+          serverPhotoIds: { ...(photo.serverPhotoIds || {}), [profile.id]: serverPhotoId },
+          upload: null
+        });
+        results[remote ? 'linked' : 'uploaded']++;
+      }
+    }
+    
+    console.log(`SyncService: Photos of ${restaurant.name} synced:`, results);
+    return results;
+  }
+  
+  /**
+   * Upload one photo in chunks, continuing a previous upload when possible
+   * @param {SyncTransport} transport - Transport of the active server
+   * @param {Object} photo - Photo record
+   * @param {Object} content - Photo content from _readPhotoData
+   * @param {string} contentHash - SHA-256 of the photo content
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} profile - Active server profile
+   * @returns {Promise<string|number|null>} - Server photo ID, or null when the server takes no uploads
+   * @private
+   */
+  async _uploadPhoto(transport, photo, content, contentHash, serverId, profile) {
+    const chunkSize = SyncService.PHOTO_CHUNK_SIZE;
+    const chunkCount = Math.max(1, Math.ceil(content.base64.length / chunkSize));
+    let upload = photo.upload && 
+      photo.upload.serverProfileId === profile.id && 
+      photo.upload.contentHash === contentHash ? photo.upload : null;
+    
+    if (upload) {
+      try {
+        const status = await transport.getPhotoUpload(upload.uploadId);
+        upload = { ...upload, nextChunk: Math.min(Number(status.receivedChunks) || 0, chunkCount) };
+        console.log(`SyncService: Resuming upload of photo ${photo.id} at chunk ${upload.nextChunk} of ${chunkCount}`);
+      } catch (error) {
+        // The server expired the upload; start over
+        if (error.status !== 404) {
+          throw error;
+        }
+        upload = null;
+      }
+    }
+    
+    if (!upload) {
+      let created;
+      try {
+        created = await transport.createPhotoUpload(serverId, {
+          contentHash,
+          contentType: content.contentType,
+          size: content.bytes.length,
+          chunkCount
+        });
+      } catch (error) {
+        if (!this._isPhotoEndpointMissing(error, profile)) {
+          throw error;
+        }
+        return null;
+      }
+      if (!created || !created.uploadId) {
+        throw new Error('Server response missing upload ID');
+      }
       
-      // Fetch restaurants from server
-      const response = await fetch(`${this.apiBase}/restaurants`);
+      upload = { uploadId: created.uploadId, serverProfileId: profile.id, contentHash, chunkCount, nextChunk: 0 };
+      await restaurantRepository.updatePhotoSyncState(photo.id, { upload });
+    }
+    
+    for (let index = upload.nextChunk; index < chunkCount; index++) {
+      this._throwIfCancelled();
+      await transport.uploadPhotoChunk(upload.uploadId, index, content.base64.slice(index * chunkSize, (index + 1) * chunkSize));
+      
+      upload = { ...upload, nextChunk: index + 1 };
+      await restaurantRepository.updatePhotoSyncState(photo.id, { upload });
+    }
+    
+    const uploaded = await transport.completePhotoUpload(upload.uploadId);
+    if (!uploaded || !uploaded.id) {
+      throw new Error('Server response missing photo ID');
+    }
+    
+    return uploaded.id;
+  }
+  
+  /**
+   * Check whether a photo request failed because the server has no photo endpoints
+   * A 404 only counts until the server has answered a photo request, since afterwards
+   * it means the restaurant is gone. Marks the profile so photos are no longer queued.
+   * @param {Error} error - Error of the photo request
+   * @param {Object} profile - Active server profile
+   * @returns {boolean} - True when the server doesn't support photos
+   * @private
+   */
+  _isPhotoEndpointMissing(error, profile) {
+    const missing = error.status === 501 ||
+      (error.status === 404 && this.photoEndpoints.get(profile.id) !== true);
+    if (missing) {
+      console.log(`SyncService: Server ${profile.name} doesn't support photos, skipping photo uploads`);
+      this.photoEndpoints.set(profile.id, false);
+    }
+    return missing;
+  }
+  
+  /**
+   * Download the photos of a server restaurant that are missing locally
+   * Uses the photo list the server includes in restaurant records as
+   * `photos: [{ id, hash }]` and fetches missing photos, which come as
+   * `{ id, hash, contentType, data }` with base64 data. Photos already stored
+   * locally with the same content are linked instead of downloaded, and photos removed
+   * on the server are removed locally.
+   * @param {number} restaurantId - Local restaurant ID
+   * @param {Array} remotePhotos - Photo list of the server restaurant
+   * @returns {Promise<Object>} - { downloaded, linked, removed }
+   */
+  async pullRestaurantPhotos(restaurantId, remotePhotos) {
+    const results = { downloaded: 0, linked: 0, removed: 0 };
+    const profile = await settingsService.getActiveServerProfile();
+    const restaurant = await restaurantRepository.getRestaurantById(restaurantId);
+    if (!restaurant) {
+      return results;
+    }
+    
+    const remoteIds = new Set(remotePhotos.map(remote => String(remote.id)));
+    const pendingDeletes = new Set((restaurant.photoDeletes || [])
+      .filter(pending => pending.serverProfileId === profile.id)
+      .map(pending => String(pending.serverPhotoId)));
+    const localIds = new Set();
+    const unlinkedByHash = new Map();
+    
+    for (const photo of restaurant.photos) {
+      const serverPhotoId = this._getServerPhotoId(photo, profile.id);
       
-      if (!response.ok) {
-        throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+      if (serverPhotoId && !remoteIds.has(String(serverPhotoId))) {
+        await this._snapshotBeforeOverwrite();
+        await restaurantRepository.removePhotoFromServer(photo.id);
+        results.removed++;
+      } else if (serverPhotoId) {
+        localIds.add(String(serverPhotoId));
+      } else {
+        const contentHash = photo.contentHash || 
+          await this.computePhotoHash((await this._readPhotoData(photo.photoData)).bytes);
+        unlinkedByHash.set(contentHash, photo);
       }
+    }
+    
+    for (const remote of remotePhotos) {
+      const remoteId = String(remote.id);
+      if (localIds.has(remoteId) || pendingDeletes.has(remoteId)) continue;
+      this._throwIfCancelled();
       
-      const remoteRestaurants = await response.json();
-      console.log(`SyncService: Fetched ${remoteRestaurants.length} restaurants from server`);
+      const local = unlinkedByHash.get(remote.hash);
+      if (local) {
+        await restaurantRepository.updatePhotoSyncState(local.id, {
+          contentHash: remote.hash,
+          serverPhotoIds: { ...(local.serverPhotoIds || {}), [profile.id]: remote.id }
+        });
+        unlinkedByHash.delete(remote.hash);
+        results.linked++;
+        continue;
+      }
       
-      // Process each restaurant and add/update in local database
-      const results = {
-        added: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0
-      };
+      const data = await (await this._getTransport()).getPhoto(remote.id);
+      if (!data || !data.data) {
+        throw new Error(`Server response missing data of photo ${remote.id}`);
+      }
       
-      // Create map of existing restaurants by serverId for deduplication
-      const existingByServerId = new Map();
+      const photoData = `data:${data.contentType || 'image/jpeg'};base64,${data.data}`;
+      const contentHash = await this.computePhotoHash((await this._readPhotoData(photoData)).bytes);
+      const expectedHash = data.hash || remote.hash;
+      if (expectedHash && expectedHash !== contentHash) {
+        throw new Error(`Photo ${remote.id} does not match its content hash`);
+      }
       
-      // Get all restaurants with serverId set
-      const db = databaseService.getDatabase();
-      const existingServerRestaurants = await db.restaurants
-        .where('serverId')
-        .above(0)
-        .toArray();
-        
-      existingServerRestaurants.forEach(restaurant => {
-        if (restaurant.serverId) {
-          existingByServerId.set(restaurant.serverId.toString(), restaurant);
-        }
+      await restaurantRepository.addPhotoFromServer(restaurantId, photoData, {
+        contentHash,
+        serverPhotoIds: { [profile.id]: remote.id }
       });
+      results.downloaded++;
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Read stored photo data into base64 and raw bytes
+   * @param {string|Blob} photoData - Data URL or Blob
+   * @returns {Promise<Object>} - { contentType, base64, bytes }
+   * @private
+   */
+  async _readPhotoData(photoData) {
+    if (typeof photoData === 'string') {
+      const match = photoData.match(/^data:([^;,]*)[^,]*;base64,/);
+      if (!match) {
+        throw new Error('Unsupported photo format: expected a base64 data URL');
+      }
       
-      console.log(`SyncService: Found ${existingServerRestaurants.length} existing restaurants with server IDs`);
-      
-      // Track restaurants by normalized name for potential matching
-      const existingByName = new Map();
-      const allRestaurants = await db.restaurants.toArray();
+      const base64 = photoData.slice(match[0].length);
+      const binary = atob(base64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return { contentType: match[1] || 'image/jpeg', base64, bytes };
+    }
+    
+    if (photoData instanceof Blob) {
+      const bytes = new Uint8Array(await photoData.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return { contentType: photoData.type || 'image/jpeg', base64: btoa(binary), bytes };
+    }
+    
+    throw new Error('Unsupported photo format');
+  }
+  
+  /**
+   * Compute the SHA-256 content hash of a photo
+   * @param {Uint8Array} bytes - Photo content
+   * @returns {Promise<string>} - Hex digest
+   */
+  async computePhotoHash(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+  
+  /**
+   * Build the server representation of a local restaurant
+   * @param {Object} restaurant - Restaurant with concepts, location and curator loaded
+   * @returns {Object} - Payload accepted by the restaurants endpoint
+   * @private
+   */
+  _buildServerPayload(restaurant) {
+    return {
+      name: restaurant.name,
+      description: restaurant.description || '',
+      transcription: restaurant.transcription || '',
+      timestamp: restaurant.timestamp,
+      curator: restaurant.curator ? {
+        name: restaurant.curator.name,
+        id: restaurant.curator.serverId || null
+      } : { name: 'Unknown', id: null },
+      concepts: (restaurant.concepts || []).map(concept => ({
+        category: concept.category,
+        value: concept.value
+      })),
+      location: restaurant.location ? {
+        latitude: restaurant.location.latitude,
+        longitude: restaurant.location.longitude,
+        address: restaurant.location.address || ''
+      } : null
+    };
+  }
+  
+  /**
+   * Merge a remote restaurant into the local restaurant with the same server ID
+   * Compares both sides against the version recorded at the last sync:
+   * - only the server changed: the local copy is updated
+   * - only the local copy changed: it is kept until pushed
+   * - both changed differently: a conflict is recorded for the user to resolve
+   * @param {Object} localRecord - Local restaurant record
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @param {boolean} dryRun - Decide without writing
+   * @returns {Promise<Object>} - { outcome: 'updated', 'skipped' or 'conflicts', reason }
+   * @private
+   */
+  async _mergeIntoExisting(localRecord, remoteRestaurant, dryRun = false) {
+    const remoteSnapshot = this.createSnapshotFromRemote(remoteRestaurant);
+    const remoteVersion = this._fingerprint(remoteSnapshot);
+    const remoteChanged = remoteVersion !== localRecord.syncBaseVersion;
+    
+    // A new revision with the same content still has to be the base of the next write
+    if (!remoteChanged && !dryRun && remoteRestaurant.revision && 
+        remoteRestaurant.revision !== localRecord.syncRevision) {
+      await restaurantRepository.updateSyncBase(
+        localRecord.id, 
+        this._createSyncBase(remoteSnapshot, remoteRestaurant.revision)
+      );
+    }
+    
+    // Not edited locally since the last sync
+    if (localRecord.source === 'remote') {
+      if (!remoteChanged) {
+        return { outcome: 'skipped', reason: 'Unchanged' };
+      }
       
-      allRestaurants.forEach(restaurant => {
-        const normalizedName = this.normalizeText(restaurant.name);
-        if (!existingByName.has(normalizedName)) {
-          existingByName.set(normalizedName, []);
-        }
-        existingByName.get(normalizedName).push(restaurant);
+      if (!dryRun) {
+        await this._updateLocalFromRemote(localRecord, remoteRestaurant);
+        console.log(`SyncService: Updated restaurant ${remoteRestaurant.name} (Server ID: ${remoteRestaurant.id}, Local ID: ${localRecord.id})`);
+      }
+      return { outcome: 'updated', reason: 'Changed on the server' };
+    }
+    
+    // Edited locally, server unchanged: local changes win until they are pushed
+    if (localRecord.syncBaseVersion && !remoteChanged) {
+      console.log(`SyncService: Keeping local changes of ${remoteRestaurant.name}, server version unchanged`);
+      return { outcome: 'skipped', reason: 'Edited locally; server version unchanged' };
+    }
+    
+    const local = await restaurantRepository.getRestaurantById(localRecord.id);
+    const localSnapshot = this.createSnapshotFromLocal(local);
+    
+    // Both sides made the same change
+    if (this._fingerprint(localSnapshot) === remoteVersion) {
+      if (!dryRun) {
+        await restaurantRepository.updateRestaurantSyncStatus(
+          localRecord.id, 
+          remoteRestaurant.id, 
+          this._createSyncBase(remoteSnapshot, remoteRestaurant.revision)
+        );
+      }
+      return { outcome: 'skipped', reason: 'Same change made locally and on the server' };
+    }
+    
+    if (!dryRun) {
+      await syncConflictRepository.recordConflict({
+        restaurantId: localRecord.id,
+        serverId: remoteRestaurant.id,
+        local: localSnapshot,
+        remote: remoteSnapshot,
+        remoteRevision: remoteRestaurant.revision || null,
+        base: localRecord.syncBase || null
       });
+      await restaurantRepository.setSyncState(localRecord.id, 'conflict');
+      console.warn(`SyncService: Conflict detected for ${remoteRestaurant.name} (Local ID: ${localRecord.id})`);
+    }
+    
+    return { outcome: 'conflicts', reason: 'Edited both locally and on the server' };
+  }
+  
+  /**
+   * Resolve a conflict by picking, per field, the local or the server value
+   * The merged result is saved locally; unless it equals the server version it is
+   * queued in the outbox and pushed by the next outbox run.
+   * @param {number} conflictId - Conflict ID
+   * @param {Object} choices - Map of field name to 'local' or 'remote'
+   * @returns {Promise<Object>} - { merged, queued }
+   */
+  async resolveConflict(conflictId, choices = {}) {
+    const conflict = await syncConflictRepository.getConflict(conflictId);
+    if (!conflict || conflict.status !== 'open') {
+      throw new Error(`Conflict ${conflictId} is not open`);
+    }
+    
+    const restaurant = await restaurantRepository.getRestaurantById(conflict.restaurantId);
+    if (!restaurant) {
+      throw new Error(`Restaurant ${conflict.restaurantId} no longer exists`);
+    }
+    
+    const merged = {};
+    for (const field of SyncService.CONFLICT_FIELDS) {
+      merged[field] = choices[field] === 'remote' ? conflict.remote[field] : conflict.local[field];
+    }
+    
+    // Everything taken from the server: nothing to push
+    const matchesRemote = this._fingerprint(merged) === this._fingerprint(conflict.remote);
+    
+    const photos = restaurant.photos || [];
+    await restaurantRepository.updateRestaurant(
+      restaurant.id,
+      merged.name,
+      restaurant.curatorId,
+      merged.concepts,
+      merged.location,
+      photos,
+      merged.transcription,
+      merged.description,
+      { fromSync: matchesRemote }
+    );
+    
+    if (matchesRemote) {
+      await restaurantRepository.updateRestaurantSyncStatus(
+        restaurant.id, 
+        conflict.serverId, 
+        this._createSyncBase(conflict.remote, conflict.remoteRevision)
+      );
+    } else {
+      // The server version has been seen; from now on only local changes are pending
+      await restaurantRepository.updateSyncBase(
+        restaurant.id, 
+        this._createSyncBase(conflict.remote, conflict.remoteRevision)
+      );
+    }
+    
+    const queued = !matchesRemote;
+    await syncConflictRepository.markResolved(conflictId, { choices, merged, queued });
+    console.log(`SyncService: Conflict ${conflictId} resolved (queued: ${queued})`);
+    return { merged, queued };
+  }
+  
+  /**
+   * Build the comparable content of a remote restaurant
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @returns {Object} - Snapshot of the conflict-relevant fields
+   */
+  createSnapshotFromRemote(remoteRestaurant) {
+    return this._normalizeSnapshot({
+      name: remoteRestaurant.name,
+      description: remoteRestaurant.description,
+      transcription: remoteRestaurant.transcription,
+      concepts: this.processRemoteConcepts(remoteRestaurant.concepts),
+      location: this.processRemoteLocation(remoteRestaurant.location)
+    });
+  }
+  
+  /**
+   * Build the comparable content of a local restaurant
+   * @param {Object} restaurant - Restaurant with concepts and location loaded
+   * @returns {Object} - Snapshot of the conflict-relevant fields
+   */
+  createSnapshotFromLocal(restaurant) {
+    return this._normalizeSnapshot({
+      name: restaurant.name,
+      description: restaurant.description,
+      transcription: restaurant.transcription,
+      concepts: restaurant.concepts || [],
+      location: restaurant.location || null
+    });
+  }
+  
+  /**
+   * Normalize snapshot fields so equal content always serializes identically
+   * @param {Object} snapshot - Raw snapshot
+   * @returns {Object} - Normalized snapshot
+   * @private
+   */
+  _normalizeSnapshot(snapshot) {
+    const location = snapshot.location && 
+      snapshot.location.latitude !== null && snapshot.location.latitude !== undefined ? {
+        latitude: Number(snapshot.location.latitude),
+        longitude: Number(snapshot.location.longitude),
+        address: snapshot.location.address || ''
+      } : null;
+    
+    return {
+      name: (snapshot.name || '').trim(),
+      description: (snapshot.description || '').trim(),
+      transcription: (snapshot.transcription || '').trim(),
+      concepts: (snapshot.concepts || [])
+        .map(concept => ({ category: concept.category, value: concept.value }))
+        .sort((a, b) => `${a.category}:${a.value}`.localeCompare(`${b.category}:${b.value}`)),
+      location
+    };
+  }
+  
+  /**
+   * Compute a short, stable version string for a snapshot (FNV-1a hash)
+   * @param {Object} snapshot - Normalized snapshot
+   * @returns {string} - Hex version string
+   * @private
+   */
+  _fingerprint(snapshot) {
+    const text = JSON.stringify(snapshot);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Wrap a snapshot with its version for storage as the restaurant's sync base
+   * @param {Object} snapshot - Normalized snapshot
+   * @param {string|null} revision - Server revision of that content, for backends that have them
+   * @returns {Object} - { snapshot, version, revision }
+   * @private
+   */
+  _createSyncBase(snapshot, revision = null) {
+    return { snapshot, version: this._fingerprint(snapshot), revision: revision || null };
+  }
+  
+  /**
+   * Create a local restaurant from a remote record
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @returns {Promise<number>} - Local restaurant ID
+   * @private
+   */
+  async _createLocalFromRemote(remoteRestaurant) {
+    const curatorId = await this.findOrCreateCurator(remoteRestaurant.curator);
+    
+    const restaurantId = await restaurantRepository.saveRestaurant(
+      remoteRestaurant.name,
+      curatorId,
+      this.processRemoteConcepts(remoteRestaurant.concepts),
+      this.processRemoteLocation(remoteRestaurant.location),
+      [], // Photos are downloaded separately
+      remoteRestaurant.transcription || '',
+      remoteRestaurant.description || '',
+      'remote',
+      remoteRestaurant.id
+    );
+    
+    await restaurantRepository.updateRestaurantSyncStatus(
+      restaurantId, 
+      remoteRestaurant.id, 
+      this._createSyncBase(this.createSnapshotFromRemote(remoteRestaurant), remoteRestaurant.revision)
+    );
+    
+    return restaurantId;
+  }
+  
+  /**
+   * Overwrite a local remote-sourced restaurant with the server version
+   * @param {Object} localRestaurant - Existing local restaurant record
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateLocalFromRemote(localRestaurant, remoteRestaurant) {
+    const curatorId = await this.findOrCreateCurator(remoteRestaurant.curator);
+    
+    // Keep local photos; the server's photo list is applied separately
+    const existing = await restaurantRepository.getRestaurantById(localRestaurant.id);
+    const photos = existing && existing.photos ? existing.photos : [];
+    
+    await restaurantRepository.updateRestaurant(
+      localRestaurant.id,
+      remoteRestaurant.name,
+      curatorId,
+      this.processRemoteConcepts(remoteRestaurant.concepts),
+      this.processRemoteLocation(remoteRestaurant.location),
+      photos,
+      remoteRestaurant.transcription || '',
+      remoteRestaurant.description || '',
+      { fromSync: true }
+    );
+    
+    await restaurantRepository.updateRestaurantSyncStatus(
+      localRestaurant.id, 
+      remoteRestaurant.id, 
+      this._createSyncBase(this.createSnapshotFromRemote(remoteRestaurant), remoteRestaurant.revision)
+    );
+  }
+  
+  /**
+   * Load the selective sync rules in a form that is quick to match against
+   * @returns {Promise<Object|null>} - Scope for isRemoteInScope and isLocalInScope, or null when everything syncs
+   */
+  async loadSyncScope() {
+    const rules = await settingsService.getSyncRules();
+    if (rules.curatorIds.length === 0 && rules.concepts.length === 0) {
+      return null;
+    }
+    
+    const ruleCuratorIds = new Set(rules.curatorIds);
+    const curators = (await curatorRepository.getAllCurators(false))
+      .filter(curator => ruleCuratorIds.has(curator.id));
+    
+    return {
+      curatorIds: rules.curatorIds.length > 0 ? ruleCuratorIds : null,
+      curatorServerIds: new Set(curators.filter(curator => curator.serverId).map(curator => String(curator.serverId))),
+      curatorNames: new Set(curators.map(curator => this.normalizeText(curator.name))),
+      concepts: rules.concepts.length > 0 ? new Set(rules.concepts.map(concept => this._conceptKey(concept))) : null
+    };
+  }
+  
+  /**
+   * Check whether a server restaurant falls under the sync rules
+   * @param {Object|null} scope - Scope from loadSyncScope
+   * @param {Object} remoteRestaurant - Restaurant from server
+   * @returns {boolean} - True when it should be synced
+   */
+  isRemoteInScope(scope, remoteRestaurant) {
+    if (!scope) return true;
+    
+    if (scope.curatorIds) {
+      const curator = remoteRestaurant.curator;
+      const matchesCurator = Boolean(curator) && (
+        (curator.id && scope.curatorServerIds.has(String(curator.id))) ||
+        (curator.name && scope.curatorNames.has(this.normalizeText(curator.name))));
+      if (!matchesCurator) return false;
+    }
+    
+    return !scope.concepts || this.processRemoteConcepts(remoteRestaurant.concepts)
+      .some(concept => scope.concepts.has(this._conceptKey(concept)));
+  }
+  
+  /**
+   * Check whether a local restaurant falls under the sync rules
+   * @param {Object|null} scope - Scope from loadSyncScope
+   * @param {Object} restaurant - Local restaurant with its concepts loaded
+   * @returns {boolean} - True when it should be synced
+   */
+  isLocalInScope(scope, restaurant) {
+    if (!scope) return true;
+    
+    if (scope.curatorIds && !scope.curatorIds.has(restaurant.curatorId)) {
+      return false;
+    }
+    
+    return !scope.concepts || (restaurant.concepts || [])
+      .some(concept => scope.concepts.has(this._conceptKey(concept)));
+  }
+  
+  /**
+   * Build a comparable key for a concept
+   * @param {Object} concept - { category, value }
+   * @returns {string} - Normalized key
+   * @private
+   */
+  _conceptKey(concept) {
+    return `${this.normalizeText(concept.category)}:${this.normalizeText(concept.value)}`;
+  }
+  
+  /**
+   * Convert remote concepts into the local format
+   * @param {Array} remoteConcepts - Concepts from remote restaurant
+   * @returns {Array} - Concepts in local format
+   */
+  processRemoteConcepts(remoteConcepts) {
+    if (!remoteConcepts || !Array.isArray(remoteConcepts)) {
+      return [];
+    }
+    
+    return remoteConcepts
+      .filter(concept => concept && concept.category && concept.value)
+      .map(concept => ({
+        category: concept.category,
+        value: concept.value
+      }));
+  }
+  
+  /**
+   * Convert a remote location into the local format
+   * @param {Object} remoteLocation - Location from remote restaurant
+   * @returns {Object|null} - Location in local format
+   */
+  processRemoteLocation(remoteLocation) {
+    if (!remoteLocation || 
+        remoteLocation.latitude === undefined || remoteLocation.latitude === null ||
+        remoteLocation.longitude === undefined || remoteLocation.longitude === null) {
+      return null;
+    }
+    
+    const latitude = parseFloat(remoteLocation.latitude);
+    const longitude = parseFloat(remoteLocation.longitude);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return null;
+    }
+    
+    return {
+      latitude,
+      longitude,
+      address: remoteLocation.address || ''
+    };
+  }
+  
+  /**
+   * Fetch curators from the server
+   * Uses the curator list of the server when it has one, and otherwise extracts the
+   * curators embedded in restaurant data.
+   * @param {Array} remoteRestaurants - Restaurants already fetched in this sync
+   * @returns {Promise<Array>} - Curators as { id, name }
+   */
+  async fetchCurators(remoteRestaurants = []) {
+    const transport = await this._getTransport();
+    const profile = await settingsService.getActiveServerProfile();
+    
+    // Each server is asked once; profiles without a curator list fall back to restaurant data
+    if (this.curatorEndpoints.get(profile.id) !== false) {
+      const curators = await transport.listCurators();
       
-      // Return mock results for now - in production this would process actual data
-      return {
-        added: 5,
-        updated: 3,
-        skipped: 2,
-        errors: 0
-      };
-    } catch (error) {
-      console.error('SyncService: Error importing restaurants:', error);
-      throw error;
+      if (Array.isArray(curators)) {
+        this.curatorEndpoints.set(profile.id, true);
+        return curators.filter(curator => curator && curator.name);
+      }
+      
+      console.log(`SyncService: Server ${profile.name} has no curator list, using curators embedded in restaurants`);
+      this.curatorEndpoints.set(profile.id, false);
+    }
+    
+    // Extract unique curators from restaurant data
+    const curatorsByKey = new Map();
+    for (const restaurant of remoteRestaurants) {
+      const curator = restaurant && restaurant.curator;
+      if (!curator || !curator.name || !curator.name.trim()) continue;
+      
+      const key = curator.id ? `id:${curator.id}` : `name:${this.normalizeText(curator.name)}`;
+      if (!curatorsByKey.has(key)) {
+        curatorsByKey.set(key, { id: curator.id || null, name: curator.name.trim() });
+      }
     }
+    
+    return Array.from(curatorsByKey.values());
   }
   
   /**
-   * Normalizes text for comparison (removes spaces, converts to lowercase)
-   * @param {string} text - The text to normalize
-   * @returns {string} - Normalized text
+   * Import server curators into the local database
+   * Curators are matched by server ID, then by name; unmatched ones are saved with
+   * origin 'remote'.
+   * @param {Array} remoteRestaurants - Restaurants already fetched in this sync
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Only count what would change
+   * @returns {Promise<Object>} - { added, linked, existing }
    */
-  normalizeText(text) {
-    if (!text) return '';
-    return text.toLowerCase().trim()
-      .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // Remove accents
-      .replace(/[^\w\s]/g, '') // Remove punctuation
-      .replace(/\s+/g, ''); // Remove spaces
+  async importCurators(remoteRestaurants = [], options = {}) {
+    const { dryRun = false } = options;
+    const results = { added: 0, linked: 0, existing: 0 };
+    
+    this.emitProgress({ phase: 'curators' });
+    const remoteCurators = await this.fetchCurators(remoteRestaurants);
+    console.log(`SyncService: Fetched ${remoteCurators.length} curators from server`);
+    
+    for (const remoteCurator of remoteCurators) {
+      this._throwIfCancelled();
+      
+      try {
+        const match = await this._matchCurator(remoteCurator);
+        
+        if (!match) {
+          if (!dryRun) {
+            await curatorRepository.saveCurator(remoteCurator.name.trim(), null, 'remote', remoteCurator.id || null);
+          }
+          results.added++;
+        } else if (remoteCurator.id && !match.serverId) {
+          if (!dryRun) {
+            await curatorRepository.linkCuratorToServer(match.id, remoteCurator.id);
+          }
+          results.linked++;
+        } else {
+          results.existing++;
+        }
+      } catch (error) {
+        console.error(`SyncService: Error importing curator ${remoteCurator.name}:`, error);
+      }
+    }
+    
+    console.log('SyncService: Curator import completed with results:', results);
+    return results;
+  }
+  
+  /**
+   * Find the local curator for a server curator, by server ID first and then by name
+   * A name match that is already linked to another server curator is not a match.
+   * @param {Object} curatorInfo - Curator as { id, name }
+   * @returns {Promise<Object|null>} - Local curator or null
+   * @private
+   */
+  async _matchCurator(curatorInfo) {
+    if (curatorInfo.id) {
+      const byServerId = await curatorRepository.findCuratorByServerId(curatorInfo.id);
+      if (byServerId) {
+        return byServerId;
+      }
+    }
+    
+    const byName = await curatorRepository.findCuratorByName(curatorInfo.name);
+    if (byName && (!byName.serverId || !curatorInfo.id || String(byName.serverId) === String(curatorInfo.id))) {
+      return byName;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find a local curator matching the remote curator info, creating it if missing
+   * @param {Object} curatorInfo - Curator info from remote restaurant
+   * @returns {Promise<number|null>} - Local curator ID or null if the server sent none
+   */
+  async findOrCreateCurator(curatorInfo) {
+    if (!curatorInfo || !curatorInfo.name) {
+      return null;
+    }
+    
+    const existing = await this._matchCurator(curatorInfo);
+    if (existing) {
+      if (curatorInfo.id && !existing.serverId) {
+        await curatorRepository.linkCuratorToServer(existing.id, curatorInfo.id);
+      }
+      return existing.id;
+    }
+    
+    return curatorRepository.saveCurator(curatorInfo.name.trim(), null, 'remote', curatorInfo.id || null);
   }
   
   /**
-   * Perform full two-way sync - pull from server and push local changes
-   * @returns {Promise<Object>} - Sync results
+   * Perform full two-way sync - pull from server and queue local changes
+   * The queued changes are sent by AutoSyncService when it drains the outbox.
+   * Runs inside the caller's sync run when one is active, so it can be cancelled with it.
+   * @param {Object} options - Sync options
+   * @param {boolean} options.dryRun - Only report what would change (see importRestaurants)
+   * @param {Set<string>} options.exclude - Plan item keys to leave untouched
+   * @returns {Promise<Object>} - Sync results, with `cancelled` set when the user cancelled
    */
-  async performFullSync() {
+  async performFullSync(options = {}) {
+    const { dryRun = false, exclude = new Set() } = options;
+    const ownsRun = this.beginRun();
+    
     try {
-      console.log('SyncService: Starting full two-way sync...');
+      console.log(`SyncService: Starting full two-way sync${dryRun ? ' preview' : ''}...`);
+      this.isSyncing = true;
       
       const results = {
-        importRestaurants: await this.importRestaurants(),
-        exportRestaurants: { success: true, count: 3 }
+        importRestaurants: { success: false, added: 0, updated: 0, skipped: 0, removed: 0, removedRestaurants: [], plan: [], errors: 0 },
+        exportRestaurants: { success: false, queued: 0, plan: [] }
       };
       
-      // Update last sync time
-      await settingsService.updateLastSyncTime();
+      // Step 1: Pull server changes
+      try {
+        const importResults = await this.importRestaurants({ dryRun, exclude });
+        results.importRestaurants = { success: true, ...importResults };
+      } catch (importError) {
+        if (this.isCancelError(importError)) {
+          console.log('SyncService: Import cancelled');
+        } else {
+          console.error('SyncService: Error importing restaurants:', importError);
+        }
+        results.importRestaurants.error = importError.message;
+        results.importRestaurants.authRequired = this.isAuthError(importError);
+      }
+      
+      results.cancelled = this.isCancelled();
+      
+      // Step 2: Queue restaurants created locally that are not in the outbox yet
+      try {
+        results.exportRestaurants = await this.queueUnsyncedRestaurants({ dryRun, exclude });
+      } catch (exportError) {
+        console.error('SyncService: Error queueing restaurants:', exportError);
+        results.exportRestaurants.error = exportError.message;
+      }
+      
+      // Update last sync time unless the server could not be reached
+      if (results.importRestaurants.success && !dryRun) {
+        await settingsService.updateLastSyncTime();
+      }
       
       console.log('SyncService: Full sync completed with results:', results);
       return results;
@@ -123,6 +2240,9 @@ class SyncService {
         success: false, 
         error: error.message
       };
+    } finally {
+      this.isSyncing = false;
+      this.endRun(ownsRun);
     }
   }
   
@@ -156,6 +2276,18 @@ class SyncService {
   }
 }
 
+// Restaurant fields compared during conflict detection and offered for resolution
+SyncService.CONFLICT_FIELDS = ['name', 'description', 'transcription', 'concepts', 'location'];
+
+// Plan actions reported for each merge outcome
+SyncService.PLAN_ACTIONS = { updated: 'update', skipped: 'skip', conflicts: 'conflict' };
+
+// Access tokens are refreshed this long before they expire
+SyncService.TOKEN_EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Base64 characters sent per photo upload request
+SyncService.PHOTO_CHUNK_SIZE = 256 * 1024;
+
 // Create and export singleton instance
 const syncService = new SyncService();
 export default syncService;
\ No newline at end of file
@@ -1,6 +1,12 @@
 /**
  * Core database service using Dexie.js for IndexedDB
- * Handles database initialization, versioning, and error recovery
+ * Handles database initialization and versioning. The schema is built from an
+ * ordered registry of migrations, each a Dexie version with an optional upgrade
+ * function, and every applied migration is recorded in the `schemaMigrations` table.
+ * Opening errors are reported instead of repaired: data is only deleted by an
+ * explicit reset, and listeners such as SnapshotService run before any reset.
+ * Also requests persistent storage and reports storage use, warning listeners before
+ * writes when the browser quota is nearly used up.
  * 
  * @module DatabaseService
  */
@@ -12,6 +18,11 @@ class DatabaseService {
     this.isResetting = false;
     this.isInitialized = false;
     this.initializePromise = null;
+    this.openError = null;
+    this.pendingLogEntries = []; // Migration log entries waiting for the database to open
+    this.beforeResetListeners = new Set();
+    this.storageWarningListeners = new Set();
+    this.lastStorageWarningAt = 0;
     this.initializeDatabase();
   }
 
@@ -54,48 +65,24 @@ class DatabaseService {
           this.db = null;
         }
         
-        // Create new Dexie instance
-        this.db = new Dexie(this.dbName);
+        this.db = this._createDatabase();
         
-        // Define database schema (version 6)
-        this.db.version(6).stores({
-          curators: '++id, name, lastActive, serverId, origin',
-          concepts: '++id, category, value, timestamp, [category+value]',
-          restaurants: '++id, name, curatorId, timestamp, transcription, description, origin, source, serverId',
-          restaurantConcepts: '++id, restaurantId, conceptId',
-          restaurantPhotos: '++id, restaurantId, photoData',
-          restaurantLocations: '++id, restaurantId, latitude, longitude, address',
-          settings: 'key'
-        });
-
-        // Open the database to ensure proper initialization
-        this.db.open().then(() => {
-          console.log('DatabaseService: Database initialized successfully');
+        // Open the database; Dexie runs the upgrade functions of pending migrations
+        this.db.open().then(async () => {
+          await this._writeMigrationLog();
+          console.log(`DatabaseService: Database initialized successfully (version ${this.db.verno})`);
           this.isInitialized = true;
+          this.openError = null;
           this.initializePromise = null;
+          this.requestPersistentStorage();
           resolve(this.db);
         }).catch(error => {
           console.error('DatabaseService: Failed to open database:', error);
-          
-          // Reset if schema error or corruption detected
-          if (error.name === 'VersionError' || 
-              error.name === 'InvalidStateError' || 
-              error.name === 'NotFoundError') {
-            console.warn('DatabaseService: Database schema issue detected, attempting reset...');
-            this.resetDatabase()
-              .then(() => resolve(this.db))
-              .catch(resetError => reject(resetError));
-          } else {
-            reject(error);
-          }
+          this._failInitialization(error, reject);
         });
       } catch (error) {
         console.error('DatabaseService: Error initializing database:', error);
-        this.initializePromise = null;
-        
-        this.resetDatabase()
-          .then(() => resolve(this.db))
-          .catch(resetError => reject(resetError));
+        this._failInitialization(error, reject);
       }
     });
     
@@ -103,8 +90,146 @@ class DatabaseService {
   }
 
   /**
-   * Reset the database in case of critical errors
+   * Create the Dexie instance with every registered migration
+   * Used by initialization and reset alike, so both build the same schema.
+   * @returns {Dexie} Unopened database
+   * @private
+   */
+  _createDatabase() {
+    const db = new Dexie(this.dbName);
+    
+    for (const migration of DatabaseService.MIGRATIONS) {
+      db.version(migration.version)
+        .stores(migration.stores)
+        .upgrade(async tx => {
+          console.log(`DatabaseService: Migrating to version ${migration.version}: ${migration.description}`);
+          if (migration.upgrade) {
+            await migration.upgrade(tx);
+          }
+          this.pendingLogEntries.push({ version: migration.version, type: 'upgrade', description: migration.description });
+        });
+    }
+    
+    // A new database is created at the latest version without running upgrades
+    db.on('populate', () => {
+      this.pendingLogEntries.push({
+        version: DatabaseService.SCHEMA_VERSION,
+        type: 'create',
+        description: 'Created the database'
+      });
+    });
+    
+    return db;
+  }
+
+  /**
+   * Store the migration log entries collected while opening the database
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeMigrationLog() {
+    if (this.pendingLogEntries.length === 0) {
+      return;
+    }
+    
+    const appliedAt = new Date();
+    const entries = this.pendingLogEntries.map(entry => ({ ...entry, appliedAt }));
+    this.pendingLogEntries = [];
+    
+    try {
+      await this.db.schemaMigrations.bulkAdd(entries);
+    } catch (error) {
+      console.error('DatabaseService: Error writing migration log:', error);
+    }
+  }
+
+  /**
+   * Reject initialization with a message the user can act on
+   * @param {Error} error - Opening error
+   * @param {Function} reject - Rejects the initialization promise
+   * @private
+   */
+  _failInitialization(error, reject) {
+    this.initializePromise = null;
+    this.pendingLogEntries = [];
+    this.openError = error;
+    error.userMessage = this.describeOpenError(error);
+    reject(error);
+  }
+
+  /**
+   * Explain why the database could not be opened
+   * @param {Error} error - Opening error
+   * @returns {string} Message for the user
+   */
+  describeOpenError(error) {
+    if (error && error.name === 'VersionError') {
+      return 'The local database was saved by a newer version of the app. Reload the page to load that version.';
+    }
+    if (error && error.name === 'UpgradeError') {
+      return 'Upgrading the local database failed. Your data is unchanged; reload the page to try again.';
+    }
+    return `The local database could not be opened: ${error ? error.message : 'unknown error'}`;
+  }
+
+  /**
+   * Get the error that stopped the database from opening
+   * @returns {Error|null} Opening error, or null when the database opened
+   */
+  getOpenError() {
+    return this.openError;
+  }
+
+  /**
+   * Get the schema version of the open database
+   * @returns {number} Version number
+   */
+  getSchemaVersion() {
+    return this.db && this.db.isOpen() ? this.db.verno : DatabaseService.SCHEMA_VERSION;
+  }
+
+  /**
+   * Get the migration log, newest first
+   * @returns {Promise<Array>} Entries as { version, type, description, appliedAt }
+   */
+  async getMigrationLog() {
+    try {
+      const db = await this.ensureDatabase();
+      return await db.schemaMigrations.orderBy('id').reverse().toArray();
+    } catch (error) {
+      console.error('DatabaseService: Error getting migration log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Register a listener awaited before the database is reset or replaced
+   * A listener that throws cancels the reset.
+   * @param {Function} listener - Called with the reason: 'reset' or 'restore'
+   * @returns {Function} - Removes the listener
+   */
+  addBeforeResetListener(listener) {
+    this.beforeResetListeners.add(listener);
+    return () => this.beforeResetListeners.delete(listener);
+  }
+
+  /**
+   * Run the before-reset listeners
+   * @param {string} reason - 'reset' or 'restore'
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyBeforeReset(reason) {
+    for (const listener of this.beforeResetListeners) {
+      await listener(reason);
+    }
+  }
+
+  /**
+   * Delete every table and create an empty database
+   * Deletes all user data; only called after the user confirmed it.
    * @returns {Promise<boolean>} Success status
+   * @throws {Error} - When a before-reset listener failed or the database could not be recreated
    */
   async resetDatabase() {
     console.warn('DatabaseService: Resetting database...');
@@ -115,6 +240,7 @@ class DatabaseService {
       }
       
       this.isResetting = true;
+      await this._notifyBeforeReset('reset');
       
       // Close current connection if exists
       if (this.db) {
@@ -131,49 +257,272 @@ class DatabaseService {
       // Delete the database
       await Dexie.delete(this.dbName);
       
-      // Show notification to the user
-      this._showResetNotification();
-      
       // Reinitialize with fresh schema
-      this.db = new Dexie(this.dbName);
-      this.db.version(6).stores({
-        curators: '++id, name, lastActive, serverId, origin',
-        concepts: '++id, category, value, timestamp, [category+value]',
-        restaurants: '++id, name, curatorId, timestamp, transcription, description, origin, source, serverId',
-        restaurantConcepts: '++id, restaurantId, conceptId',
-        restaurantPhotos: '++id, restaurantId, photoData',
-        restaurantLocations: '++id, restaurantId, latitude, longitude, address',
-        settings: 'key'
-      });
-      
+      this.db = this._createDatabase();
+      this.pendingLogEntries = [];
       await this.db.open();
+      
+      this.pendingLogEntries.push({
+        version: this.db.verno,
+        type: 'reset',
+        description: 'Reset by the user; all data was deleted'
+      });
+      await this._writeMigrationLog();
       console.log('DatabaseService: Database reset and reinitialized successfully');
       
       this.isResetting = false;
       this.isInitialized = true;
+      this.openError = null;
       return true;
     } catch (error) {
       this.isResetting = false;
       console.error('DatabaseService: Failed to reset database:', error);
-      alert('A critical database error has occurred. Please reload the page or clear your browser data.');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the whole database with saved table contents
+   * The tables are written at the schema version they were saved with, then the
+   * database is opened normally so later migrations upgrade them.
+   * @param {Object} saved - Saved contents
+   * @param {number} saved.schemaVersion - Schema version of the contents
+   * @param {Object} saved.tables - Rows per table name
+   * @returns {Promise<void>}
+   * @throws {Error} - When the contents are newer than this version of the app
+   */
+  async restoreTables({ schemaVersion, tables }) {
+    if (schemaVersion > DatabaseService.SCHEMA_VERSION) {
+      throw new Error(`The saved data uses schema version ${schemaVersion}, newer than this app (${DatabaseService.SCHEMA_VERSION})`);
+    }
+    
+    const migrations = DatabaseService.MIGRATIONS.filter(migration => migration.version <= schemaVersion);
+    if (migrations.length === 0) {
+      throw new Error(`Schema version ${schemaVersion} is no longer supported`);
+    }
+    
+    console.warn(`DatabaseService: Restoring database from schema version ${schemaVersion}...`);
+    this.isResetting = true;
+    
+    try {
+      await this._notifyBeforeReset('restore');
+      
+      if (this.db && this.db.isOpen()) {
+        this.db.close();
+      }
+      this.db = null;
+      this.isInitialized = false;
+      await Dexie.delete(this.dbName);
+      
+      // Write the rows with the schema they were saved with
+      const restored = new Dexie(this.dbName);
+      for (const migration of migrations) {
+        restored.version(migration.version).stores(migration.stores);
+      }
+      await restored.open();
+      
+      const tableNames = Object.keys(tables).filter(name => restored.tables.some(table => table.name === name));
+      await restored.transaction('rw', tableNames, async () => {
+        for (const name of tableNames) {
+          await restored.table(name).bulkAdd(tables[name]);
+        }
+      });
+      restored.close();
+      
+      // Opening at the current version runs the migrations after the saved version
+      this.pendingLogEntries = [];
+      await this.initializeDatabase();
+      this.pendingLogEntries.push({
+        version: schemaVersion,
+        type: 'restore',
+        description: 'Restored from a snapshot'
+      });
+      await this._writeMigrationLog();
+      console.log('DatabaseService: Database restored successfully');
+    } catch (error) {
+      console.error('DatabaseService: Failed to restore database:', error);
+      throw error;
+    } finally {
+      this.isResetting = false;
+    }
+  }
+
+  /**
+   * Ask the browser not to evict the database when the device runs low on space
+   * @returns {Promise<boolean>} Whether storage is persistent
+   */
+  async requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return false;
+    }
+    
+    try {
+      if (await navigator.storage.persisted()) {
+        return true;
+      }
+      
+      const persisted = await navigator.storage.persist();
+      console.log(`DatabaseService: Persistent storage ${persisted ? 'granted' : 'denied'}`);
+      return persisted;
+    } catch (error) {
+      console.error('DatabaseService: Error requesting persistent storage:', error);
       return false;
     }
   }
-  
+
+  /**
+   * Get how much of the browser storage quota is used
+   * @returns {Promise<Object|null>} { usage, quota, ratio, nearQuota, persisted } with sizes in bytes,
+   *   or null when the browser can't tell
+   */
+  async getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+      const ratio = quota ? usage / quota : 0;
+      return { usage, quota, ratio, nearQuota: ratio >= DatabaseService.STORAGE_WARNING_RATIO, persisted };
+    } catch (error) {
+      console.error('DatabaseService: Error estimating storage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Estimate the stored size of every table
+   * Reads every row, so it is meant for the Settings view rather than frequent use.
+   * @returns {Promise<Array>} Tables as { name, count, size }, largest first, with sizes in bytes
+   */
+  async getTableSizes() {
+    const db = await this.ensureDatabase();
+    const sizes = [];
+    
+    for (const table of db.tables) {
+      let count = 0;
+      let size = 0;
+      await table.each(row => {
+        count++;
+        size += this._estimateSize(row);
+      });
+      sizes.push({ name: table.name, count, size });
+    }
+    
+    return sizes.sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Create a random key for records that need an ID independent of their row
+   * Uses crypto.getRandomValues, which unlike crypto.randomUUID is available on plain
+   * http origins.
+   * @returns {string} 32 hex digits
+   */
+  createKey() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Check that a write fits in the storage quota before making it
+   * Listeners are warned when the write brings usage close to the quota.
+   * @param {number} bytes - Approximate size of the data about to be written
+   * @returns {Promise<Object|null>} Storage estimate, or null when the browser can't tell
+   * @throws {Error} - QuotaExceededError with a `userMessage` when the write would not fit
+   */
+  async ensureStorageAvailable(bytes = 0) {
+    const estimate = await this.getStorageEstimate();
+    if (!estimate || !estimate.quota) {
+      return estimate;
+    }
+    
+    const projected = estimate.usage + bytes;
+    if (projected >= estimate.quota) {
+      const error = new Error(`Storage quota exceeded: ${projected} of ${estimate.quota} bytes`);
+      error.name = 'QuotaExceededError';
+      error.userMessage = this.describeWriteError(error);
+      throw error;
+    }
+    
+    if (projected / estimate.quota >= DatabaseService.STORAGE_WARNING_RATIO) {
+      this._notifyStorageWarning({ ...estimate, ratio: projected / estimate.quota, nearQuota: true });
+    }
+    return estimate;
+  }
+
+  /**
+   * Explain a failed write to the user when it failed for lack of storage
+   * Dexie wraps the browser error, so the inner error is checked as well.
+   * @param {Error} error - Error from a database write
+   * @returns {string|null} Message for quota errors, null for other errors
+   */
+  describeWriteError(error) {
+    const isQuotaError = Boolean(error) && (error.name === 'QuotaExceededError' ||
+      Boolean(error.inner && error.inner.name === 'QuotaExceededError'));
+    
+    return isQuotaError
+      ? 'The storage available to this app is full. Delete restaurants or photos, or free up space on the device, before saving.'
+      : null;
+  }
+
+  /**
+   * Register a listener called when storage use gets close to the quota
+   * Calls are limited to one per STORAGE_WARNING_INTERVAL_MS.
+   * @param {Function} listener - Called with the storage estimate, as returned by getStorageEstimate
+   * @returns {Function} - Removes the listener
+   */
+  addStorageWarningListener(listener) {
+    this.storageWarningListeners.add(listener);
+    return () => this.storageWarningListeners.delete(listener);
+  }
+
+  /**
+   * Notify storage warning listeners, at most once per interval
+   * @param {Object} estimate - Storage estimate
+   * @private
+   */
+  _notifyStorageWarning(estimate) {
+    const now = Date.now();
+    if (now - this.lastStorageWarningAt < DatabaseService.STORAGE_WARNING_INTERVAL_MS) {
+      return;
+    }
+    this.lastStorageWarningAt = now;
+    
+    console.warn(`DatabaseService: Storage ${Math.round(estimate.ratio * 100)}% full`);
+    this.storageWarningListeners.forEach(listener => {
+      try {
+        listener(estimate);
+      } catch (error) {
+        console.error('DatabaseService: Error in storage warning listener:', error);
+      }
+    });
+  }
+
   /**
-   * Show notification about database reset
+   * Estimate the stored size of a value
+   * @param {any} value - Row or field value
+   * @returns {number} Approximate size in bytes
    * @private
    */
-  _showResetNotification() {
-    if (typeof Toastify !== 'undefined') {
-      Toastify({
-        text: "Database has been reset due to schema issues. Your data has been cleared.",
-        duration: 5000,
-        gravity: "top",
-        position: "center",
-        style: { background: "linear-gradient(to right, #ff5f6d, #ffc371)" }
-      }).showToast();
+  _estimateSize(value) {
+    if (value === null || value === undefined) {
+      return 0;
+    }
+    if (value instanceof Blob) {
+      return value.size;
     }
+    if (typeof value === 'string') {
+      return value.length;
+    }
+    if (value instanceof Date || typeof value !== 'object') {
+      return 8;
+    }
+    
+    let size = 0;
+    for (const [key, item] of Object.entries(value)) {
+      size += key.length + this._estimateSize(item);
+    }
+    return size;
   }
 
   /**
@@ -200,6 +549,92 @@ class DatabaseService {
   }
 }
 
+/**
+ * Schema migrations in version order
+ * Each entry is a Dexie version: `stores` lists the tables it adds or changes, and the
+ * optional `upgrade(tx)` converts existing data. Never edit a released entry; add a
+ * new version instead.
+ */
+DatabaseService.MIGRATIONS = [
+  {
+    version: 6,
+    description: 'Curators, concepts, restaurants with their concepts, photos and locations, and settings',
+    stores: {
+      curators: '++id, name, lastActive, serverId, origin',
+      concepts: '++id, category, value, timestamp, [category+value]',
+      restaurants: '++id, name, curatorId, timestamp, transcription, description, origin, source, serverId',
+      restaurantConcepts: '++id, restaurantId, conceptId',
+      restaurantPhotos: '++id, restaurantId, photoData',
+      restaurantLocations: '++id, restaurantId, latitude, longitude, address',
+      settings: 'key'
+    }
+  },
+  {
+    version: 7,
+    description: 'Add sync conflicts',
+    stores: {
+      syncConflicts: '++id, restaurantId, serverId, status, detectedAt'
+    }
+  },
+  {
+    version: 8,
+    description: 'Add the sync outbox',
+    stores: {
+      syncOutbox: '++id, restaurantId, operation, status, nextAttemptAt, createdAt'
+    }
+  },
+  {
+    version: 9,
+    description: 'Add restaurant deletion tombstones',
+    stores: {
+      restaurantTombstones: '++id, serverId, serverProfileId, status, deletedAt'
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the sync run log',
+    stores: {
+      syncRuns: '++id, startedAt, trigger, status, serverProfileId'
+    }
+  },
+  {
+    version: 11,
+    description: 'Add the schema migration log',
+    stores: {
+      schemaMigrations: '++id, version, type, appliedAt'
+    }
+  },
+  {
+    version: 12,
+    description: 'Index deleted restaurants for the trash',
+    stores: {
+      restaurants: '++id, name, curatorId, timestamp, transcription, description, origin, source, serverId, deletedAt'
+    }
+  },
+  {
+    version: 13,
+    description: 'Add restaurant revisions and give photos a stable key',
+    stores: {
+      restaurantRevisions: '++id, restaurantId, createdAt'
+    },
+    // Revisions refer to photos by key, since photo records are replaced on every save
+    upgrade: tx => tx.table('restaurantPhotos').toCollection().modify(photo => {
+      if (!photo.photoKey) {
+        photo.photoKey = databaseService.createKey();
+      }
+    })
+  }
+];
+
+// Share of the storage quota above which writes warn
+DatabaseService.STORAGE_WARNING_RATIO = 0.9;
+
+// Minimum time between two storage warnings
+DatabaseService.STORAGE_WARNING_INTERVAL_MS = 10 * 60 * 1000;
+
+// Latest schema version
+DatabaseService.SCHEMA_VERSION = DatabaseService.MIGRATIONS[DatabaseService.MIGRATIONS.length - 1].version;
+
 // Create and export singleton instance
 const databaseService = new DatabaseService();
 export default databaseService;
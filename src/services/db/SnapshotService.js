@@ -0,0 +1,293 @@
+/**
+ * Safety snapshots of the local database
+ * Copies every table, photos included, into a separate IndexedDB database before
+ * destructive operations: resets, restores and full sync imports. Snapshots can be
+ * listed, downloaded as JSON and restored; the oldest are dropped beyond the number
+ * configured in SettingsService.
+ * The main database is read without a schema, so a snapshot can still be taken when
+ * its schema failed to open or upgrade.
+ *
+ * @module SnapshotService
+ * @depends DatabaseService, SettingsService
+ */
+
+import databaseService from './DatabaseService.js';
+import settingsService from '../SettingsService.js';
+
+class SnapshotService {
+  constructor() {
+    this.dbName = 'RestaurantCuratorSnapshots';
+    this.db = null;
+    
+    databaseService.addBeforeResetListener(reason => this.createSnapshot(reason));
+    console.log('SnapshotService: Instance created');
+  }
+
+  /**
+   * Open the snapshot database
+   * @returns {Promise<Dexie>} Snapshot database
+   * @private
+   */
+  async _ensureDb() {
+    if (this.db && this.db.isOpen()) {
+      return this.db;
+    }
+    
+    this.db = new Dexie(this.dbName);
+    this.db.version(1).stores({
+      snapshots: '++id, createdAt, reason',
+      snapshotData: 'snapshotId'
+    });
+    await this.db.open();
+    return this.db;
+  }
+
+  /**
+   * Copy every table of the main database into a new snapshot
+   * @param {string} reason - What the snapshot protects against: 'reset', 'restore', 'import' or 'manual'
+   * @param {Object} options - Snapshot options
+   * @param {boolean} options.skipIfUnchanged - Reuse the latest snapshot when the restaurant data
+   *   has not changed since, so repeated imports don't push older snapshots out. This is
+   *   decided from row counts and the newest keys, before any table is read.
+   * @returns {Promise<Object|null>} Snapshot summary, or null when there is no database to copy
+   * @throws {Error} - When the database could not be read or the snapshot not stored, and a
+   *   QuotaExceededError when it would not fit in the storage quota
+   */
+  async createSnapshot(reason, { skipIfUnchanged = false } = {}) {
+    const source = new Dexie(databaseService.dbName);
+    
+    try {
+      await source.open();
+    } catch (error) {
+      if (error.name === 'NoSuchDatabaseError') {
+        console.log('SnapshotService: No database to snapshot');
+        return null;
+      }
+      console.error('SnapshotService: Error opening database for snapshot:', error);
+      throw error;
+    }
+    
+    try {
+      const stamp = await this._createStamp(source);
+      
+      if (skipIfUnchanged) {
+        const db = await this._ensureDb();
+        const latest = await db.snapshots.orderBy('createdAt').last();
+        if (latest && latest.stamp === stamp) {
+          console.log(`SnapshotService: Data unchanged since snapshot ${latest.id}, no ${reason} snapshot needed`);
+          return latest;
+        }
+      }
+      
+      const tables = {};
+      const counts = {};
+      
+      await source.transaction('r', source.tables, async () => {
+        for (const table of source.tables) {
+          tables[table.name] = await table.toArray();
+          counts[table.name] = tables[table.name].length;
+        }
+      });
+      
+      const snapshot = {
+        createdAt: new Date(),
+        reason,
+        schemaVersion: source.verno,
+        counts,
+        size: this._estimateSize(tables),
+        stamp
+      };
+      
+      // Snapshots copy every photo, so they are the largest writes the app makes
+      await databaseService.ensureStorageAvailable(snapshot.size);
+      
+      const db = await this._ensureDb();
+      await db.transaction('rw', db.snapshots, db.snapshotData, async () => {
+        snapshot.id = await db.snapshots.add(snapshot);
+        await db.snapshotData.add({ snapshotId: snapshot.id, tables });
+      });
+      
+      console.log(`SnapshotService: Created ${reason} snapshot ${snapshot.id} (${counts.restaurants || 0} restaurants)`);
+      await this._pruneSnapshots();
+      return snapshot;
+    } catch (error) {
+      console.error('SnapshotService: Error creating snapshot:', error);
+      throw error;
+    } finally {
+      source.close();
+    }
+  }
+
+  /**
+   * List the stored snapshots, newest first, without their data
+   * @returns {Promise<Array>} Snapshots as { id, createdAt, reason, schemaVersion, counts, size }
+   */
+  async getSnapshots() {
+    try {
+      const db = await this._ensureDb();
+      return await db.snapshots.orderBy('createdAt').reverse().toArray();
+    } catch (error) {
+      console.error('SnapshotService: Error listing snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace the main database with a snapshot
+   * The current contents are saved as a 'restore' snapshot first.
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(snapshotId) {
+    const { snapshot, tables } = await this._getSnapshotWithData(snapshotId);
+    await databaseService.restoreTables({ schemaVersion: snapshot.schemaVersion, tables });
+    console.log(`SnapshotService: Restored snapshot ${snapshotId}`);
+  }
+
+  /**
+   * Build a JSON file with the contents of a snapshot
+   * Photos become data URLs, and stored sign-in tokens are left out.
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<Blob>} JSON file
+   */
+  async exportSnapshot(snapshotId) {
+    const { snapshot, tables } = await this._getSnapshotWithData(snapshotId);
+    const exported = {};
+    
+    for (const [name, rows] of Object.entries(tables)) {
+      exported[name] = await Promise.all(rows.map(row => this._toExportable(row)));
+    }
+    
+    if (exported.settings) {
+      exported.settings = exported.settings.map(setting => setting.key === 'serverProfiles' && Array.isArray(setting.value)
+        ? { ...setting, value: setting.value.map(profile => ({ ...profile, auth: null })) }
+        : setting);
+    }
+    
+    const file = { ...snapshot, database: databaseService.dbName, tables: exported };
+    return new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(snapshotId) {
+    const db = await this._ensureDb();
+    await db.transaction('rw', db.snapshots, db.snapshotData, async () => {
+      await db.snapshots.delete(snapshotId);
+      await db.snapshotData.delete(snapshotId);
+    });
+    console.log(`SnapshotService: Deleted snapshot ${snapshotId}`);
+  }
+
+  /**
+   * Load a snapshot with its table contents
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<Object>} { snapshot, tables }
+   * @private
+   */
+  async _getSnapshotWithData(snapshotId) {
+    const db = await this._ensureDb();
+    const snapshot = await db.snapshots.get(snapshotId);
+    const data = await db.snapshotData.get(snapshotId);
+    
+    if (!snapshot || !data) {
+      throw new Error(`Snapshot ${snapshotId} not found`);
+    }
+    return { snapshot, tables: data.tables };
+  }
+
+  /**
+   * Drop the oldest snapshots beyond the configured number
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pruneSnapshots() {
+    const keep = await settingsService.getSnapshotRetention();
+    const db = await this._ensureDb();
+    const ids = await db.snapshots.orderBy('createdAt').reverse().primaryKeys();
+    
+    for (const snapshotId of ids.slice(keep)) {
+      await this.deleteSnapshot(snapshotId);
+    }
+  }
+
+  /**
+   * Convert a row into JSON-safe values
+   * @param {Object} row - Table row
+   * @returns {Promise<Object>} Row with Blobs as data URLs
+   * @private
+   */
+  async _toExportable(row) {
+    const exportable = {};
+    for (const [key, value] of Object.entries(row)) {
+      exportable[key] = value instanceof Blob ? await this._blobToDataUrl(value) : value;
+    }
+    return exportable;
+  }
+
+  /**
+   * Read a Blob as a data URL
+   * @param {Blob} blob - Blob
+   * @returns {Promise<string>} Data URL
+   * @private
+   */
+  _blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Describe the state of the restaurant data without reading the rows
+   * Uses the row count and newest key of each data table. Edits that change no count
+   * or key still add a restaurant revision, so the revision table is included. Sync
+   * bookkeeping tables are left out, since every sync changes them.
+   * @param {Dexie} source - Open main database
+   * @returns {Promise<string>} Stamp to compare with the stamp of a snapshot
+   * @private
+   */
+  async _createStamp(source) {
+    const names = [...SnapshotService.DATA_TABLES, 'restaurantRevisions']
+      .filter(name => source.tables.some(table => table.name === name));
+    const parts = [];
+    
+    await source.transaction('r', names.map(name => source.table(name)), async () => {
+      for (const name of names) {
+        const table = source.table(name);
+        parts.push(`${name}:${await table.count()}:${await table.toCollection().lastKey()}`);
+      }
+    });
+    return parts.join('|');
+  }
+
+  /**
+   * Estimate the stored size of table contents
+   * @param {Object} tables - Rows per table name
+   * @returns {number} Approximate size in bytes
+   * @private
+   */
+  _estimateSize(tables) {
+    let size = 0;
+    for (const rows of Object.values(tables)) {
+      for (const row of rows) {
+        for (const value of Object.values(row)) {
+          size += value instanceof Blob ? value.size : (JSON.stringify(value) || '').length;
+        }
+      }
+    }
+    return size;
+  }
+}
+
+// Tables whose row counts and newest keys decide whether a snapshot is still current
+SnapshotService.DATA_TABLES = ['curators', 'concepts', 'restaurants', 'restaurantConcepts', 'restaurantPhotos', 'restaurantLocations'];
+
+// Create and export singleton instance
+const snapshotService = new SnapshotService();
+export default snapshotService;
@@ -9,6 +9,7 @@ import databaseService from './db/DatabaseService.js';
 import settingsService from './SettingsService.js';
 import syncService from './SyncService.js';
 import autoSyncService from './AutoSyncService.js';
+import syncLeaderService from './SyncLeaderService.js';
 
 // Ensure database is initialized before exporting
 databaseService.ensureDatabase()
@@ -27,7 +28,8 @@ export {
   databaseService,
   settingsService,
   syncService,
-  autoSyncService
+  autoSyncService,
+  syncLeaderService
 };
 
 // Default export for convenience
@@ -35,5 +37,6 @@ export default {
   database: databaseService,
   settings: settingsService,
   sync: syncService,
-  autoSync: autoSyncService
+  autoSync: autoSyncService,
+  syncLeader: syncLeaderService
 };
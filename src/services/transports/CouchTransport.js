@@ -0,0 +1,649 @@
+/**
+ * Sync transport that replicates against a CouchDB database
+ * Server profiles point at the database as `couchdb+http://host:5984/<db>` or
+ * `couchdb+https://...`. The database holds five kinds of documents:
+ * - `restaurant:<uuid>` with the restaurant, its curator and the IDs of its concepts
+ * - `curator:<name key>` with one curator, keyed by its normalized name so every device
+ *   writing the same curator ends up with the same document
+ * - `concept:<category key>:<value key>` with one concept, keyed the same way
+ * - `location:<restaurant uuid>` with the location of a restaurant
+ * - `photo:<restaurant uuid>:<uuid>` with the content hash and the image as the
+ *   `content` attachment
+ * Changes are read from `_changes` and written with `_bulk_docs`. Restaurants carry
+ * their `_rev` as `revision`; updates send the revision the local copy is based on, so
+ * CouchDB rejects writes over changes made elsewhere with a 409.
+ * Works with CouchDB 2 and later and with PouchDB Server.
+ *
+ * @module CouchTransport
+ * @depends SyncTransport
+ */
+
+import SyncTransport from './SyncTransport.js';
+
+class CouchTransport extends SyncTransport {
+  /**
+   * @param {string} url - Server profile URL, `couchdb+http(s)://host/<db>`
+   * @param {Function} request - Called with (url, fetchOptions); resolves to the parsed
+   *   response body and rejects with an error carrying the HTTP `status`
+   */
+  constructor(url, request) {
+    super();
+    this.dbUrl = url.replace(/^couchdb\+/i, '').replace(/\/+$/, '');
+    this.serverUrl = this.dbUrl.slice(0, this.dbUrl.lastIndexOf('/'));
+    this.request = request;
+    this.uploads = new Map(); // Upload ID -> chunks staged until the upload completes
+  }
+
+  /**
+   * Sign in with a CouchDB cookie session
+   * The session cookie is kept by the browser; no password is stored.
+   * @param {string} username - CouchDB user name
+   * @param {string} password - Password
+   * @returns {Promise<void>}
+   */
+  async login(username, password) {
+    await this.request(`${this.serverUrl}/_session`, this._json('POST', { name: username, password }));
+  }
+
+  /**
+   * End the CouchDB cookie session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    await this.request(`${this.serverUrl}/_session`, { method: 'DELETE' });
+  }
+
+  /**
+   * List every restaurant
+   * @returns {Promise<Array>} Restaurants
+   */
+  async listRestaurants() {
+    const docs = await this._getDocsWithPrefix(CouchTransport.PREFIXES.restaurant);
+    return this._toRestaurants(docs);
+  }
+
+  /**
+   * Get one restaurant
+   * @param {string} serverId - Restaurant document ID
+   * @returns {Promise<Object|null>} Restaurant, or null when it does not exist
+   */
+  async getRestaurant(serverId) {
+    const doc = await this._getDoc(serverId);
+    if (!doc) {
+      return null;
+    }
+    
+    const [restaurant] = await this._toRestaurants([doc]);
+    return restaurant;
+  }
+
+  /**
+   * Create a restaurant document with the documents of its curator, concepts and location
+   * @param {Object} restaurant - Restaurant in server format
+   * @returns {Promise<Object>} Created restaurant with its `id` and `revision`
+   */
+  async createRestaurant(restaurant) {
+    const curator = await this._saveCurator(restaurant.curator);
+    const concepts = await this._saveConcepts(restaurant.concepts);
+    const doc = this._toDoc(`${CouchTransport.PREFIXES.restaurant}${this._createUuid()}`, restaurant, curator, concepts);
+    const revision = await this._saveDoc(doc);
+    await this._saveLocation(doc._id, restaurant.location);
+    
+    return { ...restaurant, curator, id: doc._id, revision, photos: [] };
+  }
+
+  /**
+   * Replace a restaurant document and its location document
+   * Without a revision the current one is read first, so the write wins over any
+   * change made elsewhere, as with the REST API. The location is only written once the
+   * restaurant was accepted.
+   * @param {string} serverId - Restaurant document ID
+   * @param {Object} restaurant - Restaurant in server format
+   * @param {string|null} revision - Revision the change is based on
+   * @returns {Promise<Object>} Updated restaurant with its new `revision`
+   * @throws {Error} - With status 409 when the document changed since that revision
+   */
+  async updateRestaurant(serverId, restaurant, revision = null) {
+    let baseRevision = revision;
+    if (!baseRevision) {
+      const current = await this._getDoc(serverId);
+      if (!current) {
+        throw this._notFound(`Restaurant ${serverId}`);
+      }
+      baseRevision = current._rev;
+    }
+    
+    const curator = await this._saveCurator(restaurant.curator);
+    const concepts = await this._saveConcepts(restaurant.concepts);
+    const newRevision = await this._saveDoc({ ...this._toDoc(serverId, restaurant, curator, concepts), _rev: baseRevision });
+    await this._saveLocation(serverId, restaurant.location);
+    
+    return { ...restaurant, curator, id: serverId, revision: newRevision };
+  }
+
+  /**
+   * Delete a restaurant document with its location and photo documents
+   * @param {string} serverId - Restaurant document ID
+   * @returns {Promise<void>}
+   */
+  async deleteRestaurant(serverId) {
+    const doc = await this._getDoc(serverId);
+    if (!doc) {
+      throw this._notFound(`Restaurant ${serverId}`);
+    }
+    
+    const photos = await this._getDocsWithPrefix(this._photoPrefix(serverId));
+    const location = await this._getDoc(this._locationId(serverId));
+    const deletions = [doc, ...photos, ...(location ? [location] : [])]
+      .map(existing => ({ _id: existing._id, _rev: existing._rev, _deleted: true }));
+    const results = await this.request(`${this.dbUrl}/_bulk_docs`, this._json('POST', { docs: deletions }));
+    this._checkBulkResults(results);
+  }
+
+  /**
+   * Read the `_changes` feed since a sequence
+   * Location and photo changes report their restaurant as changed, so it is reloaded.
+   * @param {string|null} cursor - Sequence from the previous call, or null for everything
+   * @returns {Promise<Object>} { restaurants, deleted, cursor, isDelta }
+   */
+  async getChangesSince(cursor) {
+    const since = encodeURIComponent(cursor || '0');
+    const data = await this.request(`${this.dbUrl}/_changes?since=${since}&include_docs=true&style=main_only`);
+    const changes = (data && data.results) || [];
+    
+    const changedDocs = new Map();
+    const touchedIds = new Set();
+    const deleted = [];
+    
+    for (const change of changes) {
+      if (change.id.startsWith(CouchTransport.PREFIXES.restaurant)) {
+        if (change.deleted) {
+          deleted.push(change.id);
+          changedDocs.delete(change.id);
+        } else if (change.doc) {
+          changedDocs.set(change.id, change.doc);
+        }
+      } else if (change.id.startsWith(CouchTransport.PREFIXES.photo) || 
+          change.id.startsWith(CouchTransport.PREFIXES.location)) {
+        touchedIds.add(this._restaurantIdOf(change.id));
+      }
+    }
+    
+    // Restaurants whose location or photos changed while the restaurant itself did not
+    const missingIds = Array.from(touchedIds)
+      .filter(id => !changedDocs.has(id) && !deleted.includes(id));
+    for (const doc of await this._getDocs(missingIds)) {
+      changedDocs.set(doc._id, doc);
+    }
+    
+    return {
+      restaurants: await this._toRestaurants(Array.from(changedDocs.values())),
+      deleted: cursor ? deleted : [],
+      cursor: data && data.last_seq !== undefined ? String(data.last_seq) : null,
+      isDelta: Boolean(cursor)
+    };
+  }
+
+  /**
+   * List the curator documents
+   * @returns {Promise<Array>} Curators as { id, name }
+   */
+  async listCurators() {
+    const docs = await this._getDocsWithPrefix(CouchTransport.PREFIXES.curator);
+    return docs.map(doc => ({ id: doc._id, name: doc.name }));
+  }
+
+  /**
+   * List the photos of a restaurant
+   * @param {string} serverId - Restaurant document ID
+   * @returns {Promise<Array>} Photos as { id, hash }
+   */
+  async listPhotos(serverId) {
+    const docs = await this._getDocsWithPrefix(this._photoPrefix(serverId));
+    return docs.map(doc => ({ id: doc._id, hash: doc.hash }));
+  }
+
+  /**
+   * Get a photo document with its attachment
+   * @param {string} photoId - Photo document ID
+   * @returns {Promise<Object>} { id, hash, contentType, data }
+   */
+  async getPhoto(photoId) {
+    const doc = await this.request(`${this.dbUrl}/${encodeURIComponent(photoId)}?attachments=true`);
+    const attachment = doc && doc._attachments && doc._attachments.content;
+    
+    return {
+      id: doc._id,
+      hash: doc.hash,
+      contentType: attachment ? attachment.content_type : null,
+      data: attachment ? attachment.data : null
+    };
+  }
+
+  /**
+   * Delete a photo document
+   * @param {string} serverId - Restaurant document ID
+   * @param {string} photoId - Photo document ID
+   * @returns {Promise<void>}
+   */
+  async deletePhoto(serverId, photoId) {
+    const doc = await this._getDoc(photoId);
+    if (!doc) {
+      throw this._notFound(`Photo ${photoId}`);
+    }
+    
+    await this.request(
+      `${this.dbUrl}/${encodeURIComponent(photoId)}?rev=${encodeURIComponent(doc._rev)}`,
+      { method: 'DELETE' }
+    );
+  }
+
+  /**
+   * Start a photo upload
+   * CouchDB takes an attachment in one request, so chunks are staged in memory and
+   * written together on completion. Staged uploads are lost on reload, which makes the
+   * next attempt start over.
+   * @param {string} serverId - Restaurant document ID
+   * @param {Object} details - { contentHash, contentType, size, chunkCount }
+   * @returns {Promise<Object>} { uploadId }
+   */
+  async createPhotoUpload(serverId, details) {
+    const uploadId = this._createUuid();
+    this.uploads.set(uploadId, { ...details, serverId, chunks: [] });
+    return { uploadId };
+  }
+
+  /**
+   * Get the state of a staged upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} { receivedChunks }
+   */
+  async getPhotoUpload(uploadId) {
+    const upload = this._getUpload(uploadId);
+    let receivedChunks = 0;
+    while (upload.chunks[receivedChunks] !== undefined) {
+      receivedChunks++;
+    }
+    return { receivedChunks };
+  }
+
+  /**
+   * Stage one chunk of a photo upload
+   * @param {string} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {string} data - Base64 chunk
+   * @returns {Promise<void>}
+   */
+  async uploadPhotoChunk(uploadId, index, data) {
+    this._getUpload(uploadId).chunks[index] = data;
+  }
+
+  /**
+   * Write the photo document with its attachment
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} The stored photo as { id, hash }
+   */
+  async completePhotoUpload(uploadId) {
+    const upload = this._getUpload(uploadId);
+    const { receivedChunks } = await this.getPhotoUpload(uploadId);
+    if (receivedChunks < upload.chunkCount) {
+      const error = new Error(`Upload ${uploadId} is missing chunks`);
+      error.status = 409;
+      throw error;
+    }
+    
+    const id = `${this._photoPrefix(upload.serverId)}${this._createUuid()}`;
+    await this._saveDoc({
+      _id: id,
+      type: 'photo',
+      restaurantId: upload.serverId,
+      hash: upload.contentHash,
+      _attachments: {
+        content: {
+          content_type: upload.contentType,
+          data: upload.chunks.join('')
+        }
+      }
+    });
+    this.uploads.delete(uploadId);
+    
+    return { id, hash: upload.contentHash };
+  }
+
+  /**
+   * Convert restaurant documents to restaurants with their concepts, locations and photo lists
+   * Documents written before concepts and locations had their own documents embed them.
+   * @param {Array} docs - Restaurant documents
+   * @returns {Promise<Array>} Restaurants in server format
+   * @private
+   */
+  async _toRestaurants(docs) {
+    if (docs.length === 0) {
+      return [];
+    }
+    
+    // One restaurant only needs its own photos; otherwise read every photo document once
+    const photoPrefix = docs.length === 1 ? this._photoPrefix(docs[0]._id) : CouchTransport.PREFIXES.photo;
+    const photosByRestaurant = new Map();
+    for (const photo of await this._getDocsWithPrefix(photoPrefix)) {
+      const restaurantId = this._restaurantIdOf(photo._id);
+      if (!photosByRestaurant.has(restaurantId)) {
+        photosByRestaurant.set(restaurantId, []);
+      }
+      photosByRestaurant.get(restaurantId).push({ id: photo._id, hash: photo.hash });
+    }
+    
+    const conceptIds = new Set(docs.flatMap(doc => doc.conceptIds || []));
+    const conceptsById = new Map((await this._getDocs(Array.from(conceptIds)))
+      .map(concept => [concept._id, { category: concept.category, value: concept.value }]));
+    const locationsById = new Map((await this._getDocs(docs.map(doc => this._locationId(doc._id))))
+      .map(location => [location._id, location]));
+    
+    return docs.map(doc => {
+      const location = locationsById.get(this._locationId(doc._id));
+      
+      return {
+        id: doc._id,
+        revision: doc._rev,
+        name: doc.name,
+        description: doc.description || '',
+        transcription: doc.transcription || '',
+        timestamp: doc.timestamp || null,
+        curator: doc.curator || null,
+        concepts: doc.conceptIds
+          ? doc.conceptIds.map(id => conceptsById.get(id)).filter(Boolean)
+          : doc.concepts || [],
+        location: location
+          ? { latitude: location.latitude, longitude: location.longitude, address: location.address || '' }
+          : doc.location || null,
+        photos: photosByRestaurant.get(doc._id) || []
+      };
+    });
+  }
+
+  /**
+   * Build a restaurant document
+   * @param {string} id - Document ID
+   * @param {Object} restaurant - Restaurant in server format
+   * @param {Object|null} curator - Curator with its document ID
+   * @param {Array} concepts - Concepts with their document IDs
+   * @returns {Object} Document without a revision
+   * @private
+   */
+  _toDoc(id, restaurant, curator, concepts) {
+    return {
+      _id: id,
+      type: 'restaurant',
+      name: restaurant.name,
+      description: restaurant.description || '',
+      transcription: restaurant.transcription || '',
+      timestamp: restaurant.timestamp || null,
+      curator,
+      conceptIds: concepts.map(concept => concept.id)
+    };
+  }
+
+  /**
+   * Create the documents of concepts that don't exist yet
+   * @param {Array} concepts - Concepts as { category, value }
+   * @returns {Promise<Array>} Concepts as { id, category, value }
+   * @private
+   */
+  async _saveConcepts(concepts = []) {
+    const byId = new Map();
+    for (const concept of concepts || []) {
+      if (!concept || !concept.category || !concept.value) continue;
+      
+      const category = concept.category.trim();
+      const value = concept.value.trim();
+      const id = `${CouchTransport.PREFIXES.concept}${encodeURIComponent(category.toLowerCase())}:${encodeURIComponent(value.toLowerCase())}`;
+      byId.set(id, { id, category, value });
+    }
+    
+    if (byId.size === 0) {
+      return [];
+    }
+    
+    const docs = Array.from(byId.values()).map(({ id, category, value }) => ({ _id: id, type: 'concept', category, value }));
+    const results = await this.request(`${this.dbUrl}/_bulk_docs`, this._json('POST', { docs }));
+    // Concepts written before by this or another device conflict, which is fine
+    this._checkBulkResults((results || []).filter(result => result.error !== 'conflict'));
+    
+    return Array.from(byId.values());
+  }
+
+  /**
+   * Write or remove the location document of a restaurant
+   * @param {string} serverId - Restaurant document ID
+   * @param {Object|null} location - Location as { latitude, longitude, address }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveLocation(serverId, location) {
+    const id = this._locationId(serverId);
+    const current = await this._getDoc(id);
+    
+    if (!location) {
+      if (current) {
+        await this._saveDoc({ _id: id, _rev: current._rev, _deleted: true });
+      }
+      return;
+    }
+    
+    await this._saveDoc({
+      _id: id,
+      ...(current ? { _rev: current._rev } : {}),
+      type: 'location',
+      restaurantId: serverId,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      address: location.address || ''
+    });
+  }
+
+  /**
+   * Create the document of a curator unless it exists
+   * @param {Object|null} curator - Curator as { id, name }
+   * @returns {Promise<Object|null>} Curator with its document ID
+   * @private
+   */
+  async _saveCurator(curator) {
+    if (!curator || !curator.name || !curator.name.trim()) {
+      return null;
+    }
+    
+    const name = curator.name.trim();
+    const id = `${CouchTransport.PREFIXES.curator}${encodeURIComponent(name.toLowerCase())}`;
+    
+    try {
+      await this._saveDoc({ _id: id, type: 'curator', name });
+    } catch (error) {
+      // Written before by this or another device
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+    return { id, name };
+  }
+
+  /**
+   * Write one document with `_bulk_docs`
+   * @param {Object} doc - Document, with `_rev` when it replaces an existing one
+   * @returns {Promise<string>} New revision
+   * @private
+   */
+  async _saveDoc(doc) {
+    const results = await this.request(`${this.dbUrl}/_bulk_docs`, this._json('POST', { docs: [doc] }));
+    this._checkBulkResults(results);
+    return results[0].rev;
+  }
+
+  /**
+   * Turn the first rejected document of a `_bulk_docs` answer into an error
+   * @param {Array} results - `_bulk_docs` answer, one entry per document
+   * @throws {Error} - With status 409 for revision conflicts
+   * @private
+   */
+  _checkBulkResults(results) {
+    const failed = (results || []).find(result => result.error);
+    if (!failed) {
+      return;
+    }
+    
+    const error = new Error(`CouchDB rejected ${failed.id}: ${failed.reason || failed.error}`);
+    error.status = failed.error === 'conflict' ? 409 : 400;
+    throw error;
+  }
+
+  /**
+   * Get one document
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} Document, or null when it does not exist
+   * @private
+   */
+  async _getDoc(id) {
+    try {
+      return await this.request(`${this.dbUrl}/${encodeURIComponent(id)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get existing documents by ID
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<Array>} Documents that exist and are not deleted
+   * @private
+   */
+  async _getDocs(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    const data = await this.request(`${this.dbUrl}/_all_docs?include_docs=true`, this._json('POST', { keys: ids }));
+    return ((data && data.rows) || []).filter(row => row.doc).map(row => row.doc);
+  }
+
+  /**
+   * Get every document whose ID starts with a prefix
+   * @param {string} prefix - ID prefix
+   * @returns {Promise<Array>} Documents, without attachment content
+   * @private
+   */
+  async _getDocsWithPrefix(prefix) {
+    const startKey = encodeURIComponent(JSON.stringify(prefix));
+    const endKey = encodeURIComponent(JSON.stringify(`${prefix}\ufff0`));
+    const data = await this.request(`${this.dbUrl}/_all_docs?include_docs=true&startkey=${startKey}&endkey=${endKey}`);
+    return ((data && data.rows) || []).filter(row => row.doc).map(row => row.doc);
+  }
+
+  /**
+   * Get the ID prefix of the photo documents of a restaurant
+   * @param {string} serverId - Restaurant document ID
+   * @returns {string} Prefix ending with ':'
+   * @private
+   */
+  _photoPrefix(serverId) {
+    return `${CouchTransport.PREFIXES.photo}${String(serverId).slice(CouchTransport.PREFIXES.restaurant.length)}:`;
+  }
+
+  /**
+   * Get the ID of the location document of a restaurant
+   * @param {string} serverId - Restaurant document ID
+   * @returns {string} Location document ID
+   * @private
+   */
+  _locationId(serverId) {
+    return `${CouchTransport.PREFIXES.location}${String(serverId).slice(CouchTransport.PREFIXES.restaurant.length)}`;
+  }
+
+  /**
+   * Get the restaurant document ID a location or photo document belongs to
+   * @param {string} docId - Location or photo document ID
+   * @returns {string} Restaurant document ID
+   * @private
+   */
+  _restaurantIdOf(docId) {
+    const [, restaurantUuid] = docId.split(':');
+    return `${CouchTransport.PREFIXES.restaurant}${restaurantUuid}`;
+  }
+
+  /**
+   * Get a staged upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload
+   * @private
+   */
+  _getUpload(uploadId) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload) {
+      throw this._notFound(`Upload ${uploadId}`);
+    }
+    return upload;
+  }
+
+  /**
+   * Create a random version 4 document UUID
+   * Built from crypto.getRandomValues, since crypto.randomUUID needs a secure context.
+   * @returns {string} UUID
+   * @private
+   */
+  _createUuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Build fetch options for a JSON request body
+   * @param {string} method - HTTP method
+   * @param {Object} body - Request body
+   * @returns {Object} fetch options
+   * @private
+   */
+  _json(method, body) {
+    return {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    };
+  }
+
+  /**
+   * Build the error for a missing document
+   * @param {string} what - Description of the document
+   * @returns {Error} Error with status 404
+   * @private
+   */
+  _notFound(what) {
+    const error = new Error(`${what} not found`);
+    error.status = 404;
+    return error;
+  }
+}
+
+// Document ID prefixes per document type
+CouchTransport.PREFIXES = {
+  restaurant: 'restaurant:',
+  curator: 'curator:',
+  concept: 'concept:',
+  location: 'location:',
+  photo: 'photo:'
+};
+
+/**
+ * Check whether a server profile URL points at a CouchDB database
+ * @param {string} url - Server profile URL
+ * @returns {boolean} True for `couchdb+http://` and `couchdb+https://` URLs
+ */
+CouchTransport.handles = url => /^couchdb\+https?:\/\//i.test(url || '');
+
+export default CouchTransport;
@@ -0,0 +1,349 @@
+/**
+ * Sync transport that keeps the server side in memory
+ * Implements every transport operation, including change cursors, curators and
+ * chunked photo uploads, so the whole sync pipeline runs without a network or a
+ * live server. Server profiles whose URL starts with `memory://` use it; the data
+ * lasts until the page is reloaded.
+ *
+ * @module MemoryTransport
+ * @depends SyncTransport
+ */
+
+import SyncTransport from './SyncTransport.js';
+
+class MemoryTransport extends SyncTransport {
+  constructor() {
+    super();
+    this.restaurants = new Map();
+    this.curators = new Map();
+    this.photos = new Map();
+    this.uploads = new Map();
+    this.deletions = [];
+    this.sequence = 0;
+    this.nextId = 1;
+  }
+
+  /**
+   * List every restaurant
+   * @returns {Promise<Array>} Restaurants
+   */
+  async listRestaurants() {
+    return Array.from(this.restaurants.values()).map(record => this._toRestaurant(record));
+  }
+
+  /**
+   * Get one restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Object|null>} Restaurant, or null when it does not exist
+   */
+  async getRestaurant(serverId) {
+    const record = this.restaurants.get(String(serverId));
+    return record ? this._toRestaurant(record) : null;
+  }
+
+  /**
+   * Create a restaurant
+   * @param {Object} restaurant - Restaurant in server format
+   * @returns {Promise<Object>} Created restaurant with its `id`
+   */
+  async createRestaurant(restaurant) {
+    const id = this._createId('r');
+    this.restaurants.set(id, { ...this._copy(restaurant), id, curator: this._registerCurator(restaurant.curator) });
+    this._touch(id);
+    return this.getRestaurant(id);
+  }
+
+  /**
+   * Replace the content of a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} restaurant - Restaurant in server format
+   * @returns {Promise<Object>} Updated restaurant
+   */
+  async updateRestaurant(serverId, restaurant) {
+    const id = String(serverId);
+    if (!this.restaurants.has(id)) {
+      throw this._notFound(`Restaurant ${id}`);
+    }
+    
+    this.restaurants.set(id, { ...this._copy(restaurant), id, curator: this._registerCurator(restaurant.curator) });
+    this._touch(id);
+    return this.getRestaurant(id);
+  }
+
+  /**
+   * Delete a restaurant with its photos
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<void>}
+   */
+  async deleteRestaurant(serverId) {
+    const id = String(serverId);
+    if (!this.restaurants.delete(id)) {
+      throw this._notFound(`Restaurant ${id}`);
+    }
+    
+    for (const [photoId, photo] of this.photos) {
+      if (photo.restaurantId === id) {
+        this.photos.delete(photoId);
+      }
+    }
+    
+    this.deletions.push({ id, sequence: ++this.sequence });
+  }
+
+  /**
+   * Get the restaurants changed since a cursor
+   * Cursors are sequence numbers of the last change the caller has seen. The sequence
+   * starts over when the page is reloaded, so a cursor ahead of it comes from earlier
+   * data and gets the complete list instead of a delta.
+   * @param {string|null} cursor - Cursor from the previous call, or null for everything
+   * @returns {Promise<Object>} { restaurants, deleted, cursor, isDelta }
+   */
+  async getChangesSince(cursor) {
+    const since = cursor && Number(cursor) <= this.sequence ? Number(cursor) : null;
+    const records = Array.from(this.restaurants.values())
+      .filter(record => since === null || record.sequence > since);
+    
+    return {
+      restaurants: records.map(record => this._toRestaurant(record)),
+      deleted: since === null ? [] : this.deletions
+        .filter(deletion => deletion.sequence > since)
+        .map(deletion => deletion.id),
+      cursor: String(this.sequence),
+      isDelta: since !== null
+    };
+  }
+
+  /**
+   * List the curators of the stored restaurants
+   * @returns {Promise<Array>} Curators as { id, name }
+   */
+  async listCurators() {
+    return Array.from(this.curators.values()).map(curator => ({ ...curator }));
+  }
+
+  /**
+   * List the photos of a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Array>} Photos as { id, hash }
+   */
+  async listPhotos(serverId) {
+    const id = String(serverId);
+    if (!this.restaurants.has(id)) {
+      throw this._notFound(`Restaurant ${id}`);
+    }
+    return this._getPhotoManifest(id);
+  }
+
+  /**
+   * Get the content of a photo
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<Object>} { id, hash, contentType, data }
+   */
+  async getPhoto(photoId) {
+    const photo = this.photos.get(String(photoId));
+    if (!photo) {
+      throw this._notFound(`Photo ${photoId}`);
+    }
+    return { id: photo.id, hash: photo.hash, contentType: photo.contentType, data: photo.data };
+  }
+
+  /**
+   * Delete a photo of a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<void>}
+   */
+  async deletePhoto(serverId, photoId) {
+    const photo = this.photos.get(String(photoId));
+    if (!photo || photo.restaurantId !== String(serverId)) {
+      throw this._notFound(`Photo ${photoId}`);
+    }
+    
+    this.photos.delete(photo.id);
+    this._touch(photo.restaurantId);
+  }
+
+  /**
+   * Start a chunked photo upload
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} details - { contentHash, contentType, size, chunkCount }
+   * @returns {Promise<Object>} { uploadId }
+   */
+  async createPhotoUpload(serverId, details) {
+    const id = String(serverId);
+    if (!this.restaurants.has(id)) {
+      throw this._notFound(`Restaurant ${id}`);
+    }
+    
+    const uploadId = this._createId('u');
+    this.uploads.set(uploadId, { ...details, restaurantId: id, chunks: [] });
+    return { uploadId };
+  }
+
+  /**
+   * Get the state of an unfinished upload
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} { receivedChunks }, counting the chunks received in order
+   */
+  async getPhotoUpload(uploadId) {
+    const upload = this._getUpload(uploadId);
+    let receivedChunks = 0;
+    while (upload.chunks[receivedChunks] !== undefined) {
+      receivedChunks++;
+    }
+    return { receivedChunks };
+  }
+
+  /**
+   * Store one chunk of a photo upload
+   * @param {string|number} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {string} data - Base64 chunk
+   * @returns {Promise<void>}
+   */
+  async uploadPhotoChunk(uploadId, index, data) {
+    const upload = this._getUpload(uploadId);
+    if (index < 0 || index >= upload.chunkCount) {
+      const error = new Error(`Chunk ${index} is out of range`);
+      error.status = 400;
+      throw error;
+    }
+    upload.chunks[index] = data;
+  }
+
+  /**
+   * Store the uploaded photo once every chunk arrived
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} The stored photo as { id, hash }
+   */
+  async completePhotoUpload(uploadId) {
+    const upload = this._getUpload(uploadId);
+    const { receivedChunks } = await this.getPhotoUpload(uploadId);
+    if (receivedChunks < upload.chunkCount) {
+      const error = new Error(`Upload ${uploadId} is missing chunks`);
+      error.status = 409;
+      throw error;
+    }
+    
+    const id = this._createId('p');
+    this.photos.set(id, {
+      id,
+      restaurantId: upload.restaurantId,
+      hash: upload.contentHash,
+      contentType: upload.contentType,
+      data: upload.chunks.join('')
+    });
+    this.uploads.delete(String(uploadId));
+    this._touch(upload.restaurantId);
+    
+    return { id, hash: upload.contentHash };
+  }
+
+  /**
+   * Build the restaurant returned to callers, with its photo manifest
+   * @param {Object} record - Stored record
+   * @returns {Object} Restaurant copy
+   * @private
+   */
+  _toRestaurant(record) {
+    const { sequence, ...restaurant } = this._copy(record);
+    return { ...restaurant, photos: this._getPhotoManifest(record.id) };
+  }
+
+  /**
+   * List the photos stored for a restaurant
+   * @param {string} restaurantId - Server restaurant ID
+   * @returns {Array} Photos as { id, hash }
+   * @private
+   */
+  _getPhotoManifest(restaurantId) {
+    return Array.from(this.photos.values())
+      .filter(photo => photo.restaurantId === restaurantId)
+      .map(photo => ({ id: photo.id, hash: photo.hash }));
+  }
+
+  /**
+   * Give a curator a server ID, reusing the ID of a curator with the same name
+   * @param {Object|null} curator - Curator as { id, name }
+   * @returns {Object|null} Curator with its server ID
+   * @private
+   */
+  _registerCurator(curator) {
+    if (!curator || !curator.name) {
+      return null;
+    }
+    
+    const key = curator.name.trim().toLowerCase();
+    if (!this.curators.has(key)) {
+      this.curators.set(key, { id: curator.id || this._createId('c'), name: curator.name.trim() });
+    }
+    return { ...this.curators.get(key) };
+  }
+
+  /**
+   * Get an unfinished upload
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Object} Upload
+   * @private
+   */
+  _getUpload(uploadId) {
+    const upload = this.uploads.get(String(uploadId));
+    if (!upload) {
+      throw this._notFound(`Upload ${uploadId}`);
+    }
+    return upload;
+  }
+
+  /**
+   * Mark a restaurant as changed for change cursors
+   * @param {string} restaurantId - Server restaurant ID
+   * @private
+   */
+  _touch(restaurantId) {
+    const record = this.restaurants.get(restaurantId);
+    if (record) {
+      record.sequence = ++this.sequence;
+    }
+  }
+
+  /**
+   * Create a unique ID
+   * @param {string} prefix - Kind of record
+   * @returns {string} ID
+   * @private
+   */
+  _createId(prefix) {
+    return `${prefix}${this.nextId++}`;
+  }
+
+  /**
+   * Copy a record, so callers never share objects with the stored data
+   * @param {Object} value - Record
+   * @returns {Object} Copy
+   * @private
+   */
+  _copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Build the error for a missing record
+   * @param {string} what - Description of the record
+   * @returns {Error} Error with status 404
+   * @private
+   */
+  _notFound(what) {
+    const error = new Error(`${what} not found`);
+    error.status = 404;
+    return error;
+  }
+}
+
+/**
+ * Check whether a server profile URL is served by a MemoryTransport
+ * @param {string} url - Server profile URL
+ * @returns {boolean} True for `memory://` URLs
+ */
+MemoryTransport.handles = url => /^memory:\/\//i.test(url || '');
+
+export default MemoryTransport;
@@ -0,0 +1,212 @@
+/**
+ * Sync transport for the REST API of the curation server
+ * Maps transport operations to endpoints. Sending requests, authentication and
+ * cancellation are left to the request function passed in by SyncService.
+ *
+ * @module RestTransport
+ * @depends SyncTransport
+ */
+
+import SyncTransport from './SyncTransport.js';
+
+class RestTransport extends SyncTransport {
+  /**
+   * @param {Function} request - Called with (path, fetchOptions); resolves to the parsed
+   *   response body and rejects with an error carrying the HTTP `status`
+   */
+  constructor(request) {
+    super();
+    this.request = request;
+  }
+
+  /**
+   * `GET /restaurants`
+   * @returns {Promise<Array>} Restaurants
+   */
+  async listRestaurants() {
+    const data = await this.request('/restaurants');
+    return Array.isArray(data) ? data : (data && data.restaurants) || [];
+  }
+
+  /**
+   * `GET /restaurants/<id>`
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Object|null>} Restaurant, or null when it does not exist
+   */
+  async getRestaurant(serverId) {
+    try {
+      return await this.request(`/restaurants/${encodeURIComponent(serverId)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * `POST /restaurants`
+   * @param {Object} restaurant - Restaurant in server format
+   * @returns {Promise<Object>} Created restaurant with its `id`
+   */
+  async createRestaurant(restaurant) {
+    return this.request('/restaurants', this._json('POST', restaurant));
+  }
+
+  /**
+   * `PUT /restaurants/<id>`
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} restaurant - Restaurant in server format
+   * @returns {Promise<Object|null>} Updated restaurant, when the server returns it
+   */
+  async updateRestaurant(serverId, restaurant) {
+    return this.request(`/restaurants/${encodeURIComponent(serverId)}`, this._json('PUT', restaurant));
+  }
+
+  /**
+   * `DELETE /restaurants/<id>`
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<void>}
+   */
+  async deleteRestaurant(serverId) {
+    await this.request(`/restaurants/${encodeURIComponent(serverId)}`, { method: 'DELETE' });
+  }
+
+  /**
+   * `GET /restaurants?updated_since=<cursor>`
+   * Cursor-capable servers answer with
+   * `{ restaurants: [...], deleted: [<server IDs>], cursor: '<next cursor>' }`.
+   * Servers without cursor support ignore the parameter and return the full array.
+   * @param {string|null} cursor - Cursor from the previous sync, or null for everything
+   * @returns {Promise<Object>} { restaurants, deleted, cursor, isDelta }
+   */
+  async getChangesSince(cursor) {
+    const query = `?updated_since=${encodeURIComponent(cursor || '')}`;
+    const data = await this.request(`/restaurants${query}`);
+    
+    if (Array.isArray(data)) {
+      return { restaurants: data, deleted: [], cursor: null, isDelta: false };
+    }
+    
+    if (data && Array.isArray(data.restaurants)) {
+      return {
+        restaurants: data.restaurants,
+        // Deleted entries may be plain IDs or objects carrying an id
+        deleted: Array.isArray(data.deleted)
+          ? data.deleted.map(item => (item && typeof item === 'object' ? item.id : item)).filter(Boolean)
+          : [],
+        cursor: data.cursor !== undefined && data.cursor !== null ? String(data.cursor) : null,
+        // Without a previous cursor the server sent its complete list
+        isDelta: Boolean(cursor)
+      };
+    }
+    
+    throw new Error('Unexpected response format from /restaurants');
+  }
+
+  /**
+   * `GET /curators`, which older servers don't have
+   * @returns {Promise<Array|null>} Curators, or null without a curators endpoint
+   */
+  async listCurators() {
+    try {
+      const data = await this.request('/curators');
+      const curators = Array.isArray(data) ? data : (data && data.curators);
+      return Array.isArray(curators) ? curators : null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * `GET /restaurants/<id>/photos`
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Array>} Photos as { id, hash }
+   */
+  async listPhotos(serverId) {
+    return (await this.request(`/restaurants/${encodeURIComponent(serverId)}/photos`)) || [];
+  }
+
+  /**
+   * `GET /photos/<id>`
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<Object>} { id, hash, contentType, data } with base64 data
+   */
+  async getPhoto(photoId) {
+    return this.request(`/photos/${encodeURIComponent(photoId)}`);
+  }
+
+  /**
+   * `DELETE /restaurants/<id>/photos/<photoId>`
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<void>}
+   */
+  async deletePhoto(serverId, photoId) {
+    await this.request(
+      `/restaurants/${encodeURIComponent(serverId)}/photos/${encodeURIComponent(photoId)}`,
+      { method: 'DELETE' }
+    );
+  }
+
+  /**
+   * `POST /restaurants/<id>/photos/uploads`
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} details - { contentHash, contentType, size, chunkCount }
+   * @returns {Promise<Object>} { uploadId }
+   */
+  async createPhotoUpload(serverId, details) {
+    return this.request(`/restaurants/${encodeURIComponent(serverId)}/photos/uploads`, this._json('POST', details));
+  }
+
+  /**
+   * `GET /photo-uploads/<uploadId>`
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} { receivedChunks }
+   */
+  async getPhotoUpload(uploadId) {
+    return this.request(`/photo-uploads/${encodeURIComponent(uploadId)}`);
+  }
+
+  /**
+   * `PUT /photo-uploads/<uploadId>/chunks/<index>` with `{ data }`
+   * @param {string|number} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {string} data - Base64 chunk
+   * @returns {Promise<void>}
+   */
+  async uploadPhotoChunk(uploadId, index, data) {
+    await this.request(`/photo-uploads/${encodeURIComponent(uploadId)}/chunks/${index}`, this._json('PUT', { data }));
+  }
+
+  /**
+   * `POST /photo-uploads/<uploadId>/complete`
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} The stored photo as { id, hash }
+   */
+  async completePhotoUpload(uploadId) {
+    return this.request(`/photo-uploads/${encodeURIComponent(uploadId)}/complete`, { method: 'POST' });
+  }
+
+  /**
+   * Build fetch options for a JSON request body
+   * @param {string} method - HTTP method
+   * @param {Object} body - Request body
+   * @returns {Object} fetch options
+   * @private
+   */
+  _json(method, body) {
+    return {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    };
+  }
+}
+
+export default RestTransport;
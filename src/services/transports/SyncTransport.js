@@ -0,0 +1,161 @@
+/**
+ * Interface between SyncService and a sync backend
+ * Adapters translate these operations to one backend. Restaurants are exchanged in
+ * the server format built by SyncService, with an `id` assigned by the backend and
+ * a `photos: [{ id, hash }]` manifest when the backend stores photos, and a
+ * `revision` when the backend versions its records. Errors for
+ * missing records carry `status: 404`, as HTTP errors do.
+ * Curator and photo operations are optional; the base implementations report them
+ * as unsupported.
+ *
+ * @module SyncTransport
+ */
+
+class SyncTransport {
+  /**
+   * List every restaurant on the backend
+   * @returns {Promise<Array>} Restaurants
+   */
+  async listRestaurants() {
+    throw this._notImplemented('listRestaurants');
+  }
+
+  /**
+   * Get one restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Object|null>} Restaurant, or null when it does not exist
+   */
+  async getRestaurant(serverId) {
+    throw this._notImplemented('getRestaurant');
+  }
+
+  /**
+   * Create a restaurant
+   * @param {Object} restaurant - Restaurant in server format, without an ID
+   * @returns {Promise<Object>} Created restaurant with its `id`
+   */
+  async createRestaurant(restaurant) {
+    throw this._notImplemented('createRestaurant');
+  }
+
+  /**
+   * Replace the content of a restaurant
+   * Backends with revisions reject the write with status 409 when the restaurant
+   * changed since the given revision; the others ignore it.
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} restaurant - Restaurant in server format
+   * @param {string|null} revision - Revision the change is based on, when known
+   * @returns {Promise<Object|null>} Updated restaurant, when the backend returns it
+   */
+  async updateRestaurant(serverId, restaurant, revision = null) {
+    throw this._notImplemented('updateRestaurant');
+  }
+
+  /**
+   * Delete a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<void>}
+   */
+  async deleteRestaurant(serverId) {
+    throw this._notImplemented('deleteRestaurant');
+  }
+
+  /**
+   * Get the restaurants changed since a cursor
+   * Backends without change tracking return everything with `isDelta: false`.
+   * @param {string|null} cursor - Cursor from the previous call, or null for everything
+   * @returns {Promise<Object>} { restaurants, deleted, cursor, isDelta } where deleted lists server IDs
+   */
+  async getChangesSince(cursor) {
+    throw this._notImplemented('getChangesSince');
+  }
+
+  /**
+   * List the curators on the backend
+   * @returns {Promise<Array|null>} Curators as { id, name }, or null when the backend has no curator list
+   */
+  async listCurators() {
+    return null;
+  }
+
+  /**
+   * List the photos of a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @returns {Promise<Array>} Photos as { id, hash }
+   */
+  async listPhotos(serverId) {
+    throw this._notImplemented('listPhotos');
+  }
+
+  /**
+   * Get the content of a photo
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<Object>} { id, hash, contentType, data } with base64 data
+   */
+  async getPhoto(photoId) {
+    throw this._notImplemented('getPhoto');
+  }
+
+  /**
+   * Delete a photo of a restaurant
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {string|number} photoId - Server photo ID
+   * @returns {Promise<void>}
+   */
+  async deletePhoto(serverId, photoId) {
+    throw this._notImplemented('deletePhoto');
+  }
+
+  /**
+   * Start a chunked photo upload
+   * @param {string|number} serverId - Server restaurant ID
+   * @param {Object} details - { contentHash, contentType, size, chunkCount }
+   * @returns {Promise<Object>} { uploadId }
+   */
+  async createPhotoUpload(serverId, details) {
+    throw this._notImplemented('createPhotoUpload');
+  }
+
+  /**
+   * Get the state of an unfinished upload
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} { receivedChunks }
+   */
+  async getPhotoUpload(uploadId) {
+    throw this._notImplemented('getPhotoUpload');
+  }
+
+  /**
+   * Send one chunk of a photo upload
+   * @param {string|number} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {string} data - Base64 chunk
+   * @returns {Promise<void>}
+   */
+  async uploadPhotoChunk(uploadId, index, data) {
+    throw this._notImplemented('uploadPhotoChunk');
+  }
+
+  /**
+   * Finish a photo upload once every chunk was sent
+   * @param {string|number} uploadId - Upload ID
+   * @returns {Promise<Object>} The stored photo as { id, hash }
+   */
+  async completePhotoUpload(uploadId) {
+    throw this._notImplemented('completePhotoUpload');
+  }
+
+  /**
+   * Build the error thrown by operations an adapter does not support
+   * @param {string} operation - Operation name
+   * @returns {Error} Error with status 501
+   * @protected
+   */
+  _notImplemented(operation) {
+    const error = new Error(`${this.constructor.name} does not support ${operation}`);
+    error.status = 501;
+    return error;
+  }
+}
+
+export default SyncTransport;